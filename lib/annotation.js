@@ -0,0 +1,432 @@
+/**
+ * This module renders stack traces annotated by `git.annotateStackTrace()`
+ * from their structured form, so the same annotation can go to a terminal
+ * (ANSI), a log file (plain text) or a web page (HTML).
+ *
+ * The structured form is a plain object (which can be serialized with
+ * `JSON.stringify()`) with these fields:
+ * 1. root: the top level path of the Git repository.
+ * 2. blame: whether code lines are blamed, see below.
+ * 3. commits: the commits that added lines are colored by, when the diff
+ *    covers several commits, in the order they are first seen. Each has the
+ *    fields `sha`, `summary`, `author` and `time` (in seconds). The SHA of
+ *    uncommitted changes is all zeros.
+ * 4. frames: the callsites, from the innermost one, each of which has these
+ *    fields:
+ *    1. callName: the function, eg, `Cart.add`, or `anonymous`.
+ *    2. fileName: the absolute path of the file, or the name of Node.js'
+ *       internal module.
+ *    3. relativeFileName: the path relative to `root`, or null if the file
+ *       is outside of it.
+ *    4. lineNumber, columnNumber: the location of the callsite.
+ *    5. kind: 'library' (outside of the repository, or in `node_modules`),
+ *       'clean' (no changed line nearby), 'dirty' (with changed lines
+ *       nearby), or null if the callsite isn't annotated, eg, Node.js'
+ *       internal code.
+ *    6. sections: the selected code around the callsite, an array of
+ *       objects with two fields: `type`, 'file' for lines of the file, or
+ *       'hunk' for lines of a diff hunk, and `lines`, each of which has
+ *       these fields:
+ *       1. number: the line number in the file. Null for removed lines,
+ *          which have `oldNumber`, the line number in the old version.
+ *       2. text: the code (without the `+` or `-` of diff lines).
+ *       3. status: 'added', 'removed' or 'context'.
+ *       4. target: whether it's the line of the callsite.
+ *       5. commit: [optional] the SHA of the commit that added the line,
+ *          see `commits` above.
+ *       6. blame: [optional] the commit that last changed the line, with the
+ *          fields `sha`, `author`, `time` (in seconds), `summary` and
+ *          `recent` (whether it's within the recent window).
+ */
+
+var util = require('util');
+
+// Background and foreground colors of files in callsites. They are also used
+// by `report.printFrames()`.
+var FILE_COLORS = ['101;30', '102;30', '103;30', '104;30', '105;30', '106;30',
+				   '41;97', '42;97', '43;97', '44;97', '45;97', '46;97'];
+var FILE_COLORS2 = ['91', '92', '93', '94', '95', '96', '31', '32', '33', '34', '35', '36'];
+
+// Colors of added lines by commits. Red is left out, since it's the color
+// of removed lines.
+var COMMIT_COLORS = ['32', '33', '34', '35', '36', '92', '93', '94', '95', '96'];
+
+// Width of the author names in blame gutters.
+var AUTHOR_WIDTH = 16;
+
+// Width of the ages in blame gutters, eg, "11 months ago".
+var AGE_WIDTH = 14;
+
+// Width of blame gutters, without the separator.
+var GUTTER_WIDTH = 7 + 1 + AUTHOR_WIDTH + 1 + AGE_WIDTH;
+
+/**
+ * This function formats how long ago a time is, eg, `3 days ago`.
+ *
+ * @param seconds {int} the number of seconds since the time.
+ * @returns {string}
+ * @private
+ */
+function _formatAge(seconds) {
+	var units = [['year', 365 * 86400], ['month', 30 * 86400], ['week', 7 * 86400],
+				 ['day', 86400], ['hour', 3600], ['minute', 60]];
+	var i, n;
+
+	for (i = 0; i < units.length; i++) {
+		if (seconds >= units[i][1]) {
+			n = Math.floor(seconds / units[i][1]);
+			return n + ' ' + units[i][0] + (n > 1 ? 's' : '') + ' ago';
+		}
+	}
+	return 'just now';
+}
+
+/**
+ * This function pads a string with spaces, or truncates it, to a width.
+ *
+ * @param str {string}
+ * @param width {int}
+ * @returns {string}
+ * @private
+ */
+function _fit(str, width) {
+	if (str.length > width) {
+		return str.substring(0, width - 1) + '~';
+	}
+	return str + new Array(width - str.length + 1).join(' ');
+}
+
+/**
+ * This function formats the blame gutter of a line: the short SHA, the
+ * author and the age of the commit that last changed it.
+ *
+ * @param line {Object} the line.
+ * @returns {string} the gutter, or spaces of the same width if the line
+ *                   isn't blamed, eg, a removed line.
+ * @private
+ */
+function _formatGutter(line) {
+	if (!line.blame) {
+		return _fit('', GUTTER_WIDTH);
+	}
+	return util.format('%s %s %s'
+					   , line.blame.sha.substring(0, 7)
+					   , _fit(line.blame.author || '', AUTHOR_WIDTH)
+					   , _fit(_formatAge(Date.now() / 1000 - line.blame.time), AGE_WIDTH));
+}
+
+/**
+ * This function formats a commit in the legend.
+ *
+ * @param commit {Object} the commit.
+ * @returns {Array} the short SHA (or `uncommitted`) and the summary.
+ * @private
+ */
+function _formatCommit(commit) {
+	if (/^0+$/.test(commit.sha)) {
+		return ['uncommitted', 'changes not committed yet'];
+	}
+	return [commit.sha.substring(0, 7), commit.summary];
+}
+
+/**
+ * This function assigns colors to the files of the callsites, in the order
+ * they appear. Colors are reused if there are more files than colors.
+ *
+ * @param annotation {Object} the annotation.
+ * @returns {Object} a dictionary. Key: file name. Value: the index of its
+ *                   color.
+ * @private
+ */
+function _indexFiles(annotation) {
+	var result = {};
+	var count = 0;
+
+	annotation.frames.forEach(function(frame) {
+		if (result[frame.fileName] === undefined) {
+			result[frame.fileName] = count % FILE_COLORS.length;
+			count++;
+		}
+	});
+	return result;
+}
+
+/**
+ * This function indexes the commits of an annotation by SHA.
+ *
+ * @param annotation {Object} the annotation.
+ * @returns {Object} a dictionary. Key: SHA. Value: the index of the commit.
+ * @private
+ */
+function _indexCommits(annotation) {
+	var result = {};
+
+	annotation.commits.forEach(function(commit, index) {
+		result[commit.sha] = index;
+	});
+	return result;
+}
+
+/**
+ * This function renders an annotation for a terminal, with ANSI colors:
+ * files of callsites are colored, added and removed lines are green and
+ * red (or colored by commits, with a legend), and target lines are bold.
+ *
+ * @param annotation {Object} the annotation, see above.
+ * @returns {string}
+ */
+function renderAnsi(annotation) {
+	var result = [];
+	var fileColor = _indexFiles(annotation);
+	var commitIndex = _indexCommits(annotation);
+
+	if (annotation.commits.length > 0) {
+		result.push('');
+		annotation.commits.forEach(function(commit, index) {
+			var parts = _formatCommit(commit);
+			result.push(util.format('\x1B[%sm%s\x1B[0m %s'
+									, COMMIT_COLORS[index % COMMIT_COLORS.length]
+									, parts[0]
+									, parts[1]));
+		});
+	}
+
+	annotation.frames.forEach(function(frame, i) {
+		var color = fileColor[frame.fileName];
+
+		result.push('');
+		result.push(util.format('\x1B[1m%s ->\x1B[21;%sm%s\x1B[49;90m in \x1B[%sm%s\x1B[0m (\x1B[1m%d:%d\x1B[0m)'
+								, i + 1
+								, FILE_COLORS[color]
+								, frame.callName
+								, FILE_COLORS2[color]
+								, frame.relativeFileName || frame.fileName
+								, frame.lineNumber
+								, frame.columnNumber));
+		result.push('');
+
+		frame.sections.forEach(function(section) {
+			section.lines.forEach(function(line) {
+				var text = line.text;
+				var gutter;
+
+				if (line.status === 'added') {
+					text = '\x1B[' + (line.commit ? COMMIT_COLORS[commitIndex[line.commit] % COMMIT_COLORS.length] : '32')
+						 + 'm+' + text + '\x1B[0m';
+				} else if (line.status === 'removed') {
+					text = '\x1B[31m-' + text + '\x1B[0m';
+				} else if (frame.kind === 'dirty') {
+					// This is required to make sure the line aligns well with
+					// lines from diff hunks.
+					text = ' ' + text;
+				}
+				if (line.target) {
+					text = '\x1B[1m' + text + '\x1B[0m';
+				}
+
+				if (annotation.blame) {
+					gutter = _formatGutter(line);
+					if (line.blame && line.blame.recent) {
+						// A recent change, highlight it.
+						gutter = '\x1B[43;30m' + gutter + '\x1B[0;33m|\x1B[0m ';
+					} else if (line.blame) {
+						gutter = '\x1B[90m' + gutter + '|\x1B[0m ';
+					} else {
+						gutter += '  ';
+					}
+					text = gutter + text;
+				}
+				result.push(text);
+			});
+		});
+	});
+
+	return result.join('\n');
+}
+
+/**
+ * This function renders an annotation as plain text, in the same layout as
+ * `renderAnsi()`. Target lines are marked with `>`, and blame gutters of
+ * recent changes end with `*` instead of `|`.
+ *
+ * @param annotation {Object} the annotation, see above.
+ * @returns {string}
+ */
+function renderPlain(annotation) {
+	var result = [];
+
+	if (annotation.commits.length > 0) {
+		result.push('');
+		annotation.commits.forEach(function(commit) {
+			result.push(_formatCommit(commit).join(' '));
+		});
+	}
+
+	annotation.frames.forEach(function(frame, i) {
+		result.push('');
+		result.push(util.format('%s -> %s in %s (%d:%d)'
+								, i + 1
+								, frame.callName
+								, frame.relativeFileName || frame.fileName
+								, frame.lineNumber
+								, frame.columnNumber));
+		result.push('');
+
+		frame.sections.forEach(function(section) {
+			section.lines.forEach(function(line) {
+				var text = line.text;
+
+				if (line.status === 'added') {
+					text = '+' + text;
+				} else if (line.status === 'removed') {
+					text = '-' + text;
+				} else if (frame.kind === 'dirty') {
+					text = ' ' + text;
+				}
+				text = (line.target ? '> ' : '  ') + text;
+
+				if (annotation.blame) {
+					text = _formatGutter(line) + (!line.blame ? '  ' : line.blame.recent ? '* ' : '| ') + text;
+				}
+				result.push(text);
+			});
+		});
+	});
+
+	return result.join('\n');
+}
+
+/**
+ * This function escapes special characters of HTML in a string.
+ *
+ * @param str {string}
+ * @returns {string}
+ * @private
+ */
+function _escapeHtml(str) {
+	return String(str).replace(/&/g, '&amp;')
+					  .replace(/</g, '&lt;')
+					  .replace(/>/g, '&gt;')
+					  .replace(/"/g, '&quot;');
+}
+
+/**
+ * This function renders an annotation as an HTML fragment. Colors are left
+ * to the page's stylesheet, through these classes (all prefixed with
+ * `diffbug-`):
+ * 1. annotation: the whole fragment.
+ * 2. commits, commit-N: the legend of commits, and the N-th commit in it
+ *    (also on the added lines of the commit).
+ * 3. frame, and library, clean or dirty: a callsite, by its kind.
+ * 4. site, call, path, file-N: the location of a callsite, with the N-th
+ *    file (in the order they appear).
+ * 5. code, line, and added, removed or context, and target: the lines.
+ * 6. blame, recent: the blame gutter of a line.
+ *
+ * @param annotation {Object} the annotation, see above.
+ * @returns {string}
+ */
+function renderHtml(annotation) {
+	var result = [];
+	var fileColor = _indexFiles(annotation);
+	var commitIndex = _indexCommits(annotation);
+
+	result.push('<div class="diffbug-annotation">');
+
+	if (annotation.commits.length > 0) {
+		result.push('<ul class="diffbug-commits">');
+		annotation.commits.forEach(function(commit, index) {
+			var parts = _formatCommit(commit);
+			result.push(util.format('<li class="diffbug-commit-%d"><code>%s</code> %s</li>'
+									, index
+									, _escapeHtml(parts[0])
+									, _escapeHtml(parts[1])));
+		});
+		result.push('</ul>');
+	}
+
+	annotation.frames.forEach(function(frame, i) {
+		var lines = [];
+
+		result.push(util.format('<div class="diffbug-frame%s">', frame.kind ? ' diffbug-' + frame.kind : ''));
+		result.push(util.format('<div class="diffbug-site diffbug-file-%d">%d -&gt; <span class="diffbug-call">%s</span>'
+								+ ' in <span class="diffbug-path">%s</span> (<b>%d:%d</b>)</div>'
+								, fileColor[frame.fileName]
+								, i + 1
+								, _escapeHtml(frame.callName)
+								, _escapeHtml(frame.relativeFileName || frame.fileName)
+								, frame.lineNumber
+								, frame.columnNumber));
+
+		frame.sections.forEach(function(section) {
+			section.lines.forEach(function(line) {
+				var classes = ['diffbug-line', 'diffbug-' + line.status];
+				var prefix = '';
+				var gutter = '';
+
+				if (line.target) {
+					classes.push('diffbug-target');
+				}
+				if (line.commit) {
+					classes.push('diffbug-commit-' + commitIndex[line.commit]);
+				}
+				if (line.status === 'added') {
+					prefix = '+';
+				} else if (line.status === 'removed') {
+					prefix = '-';
+				} else if (frame.kind === 'dirty') {
+					prefix = ' ';
+				}
+				if (annotation.blame) {
+					gutter = util.format('<span class="diffbug-blame%s"%s>%s</span> '
+										 , line.blame && line.blame.recent ? ' diffbug-recent' : ''
+										 , line.blame ? ' title="' + _escapeHtml(_formatCommit(line.blame)[1] || '') + '"' : ''
+										 , _escapeHtml(_formatGutter(line)));
+				}
+				lines.push(util.format('<span class="%s">%s%s</span>'
+									   , classes.join(' ')
+									   , gutter
+									   , _escapeHtml(prefix + line.text)));
+			});
+		});
+
+		if (lines.length > 0) {
+			result.push('<pre class="diffbug-code">' + lines.join('\n') + '</pre>');
+		}
+		result.push('</div>');
+	});
+
+	result.push('</div>');
+	return result.join('\n');
+}
+
+// Renderers by formats.
+var renderers = {
+	ansi: renderAnsi,
+	plain: renderPlain,
+	html: renderHtml
+};
+
+/**
+ * This function renders an annotation in a format.
+ *
+ * @param annotation {Object} the annotation, see above.
+ * @param format {string} 'ansi', 'plain' or 'html'.
+ * @returns {string}
+ */
+function render(annotation, format) {
+	if (!renderers.hasOwnProperty(format)) {
+		throw new Error('Unknown annotation format: ' + format);
+	}
+	return renderers[format](annotation);
+}
+
+module.exports = {
+	FORMATS: Object.keys(renderers),
+	FILE_COLORS: FILE_COLORS,
+	FILE_COLORS2: FILE_COLORS2,
+	renderAnsi: renderAnsi,
+	renderPlain: renderPlain,
+	renderHtml: renderHtml,
+	render: render
+};
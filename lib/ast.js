@@ -7,10 +7,538 @@
 
 var acorn = require('acorn');
 
+// Check whether a value is an AST node.
+function isNode(value) {
+	return value instanceof Object && typeof value.type === 'string' && value.end !== undefined;
+}
+
+/**
+ * This function parses JavaScript source code into an AST, with the latest
+ * syntax acorn supports. Whether it's a script or an ES module is decided by
+ * the file extension (`.mjs` or `.cjs`), or else it's parsed as a script
+ * first, and then as a module if that fails, eg, on `import` declarations.
+ * CommonJS modules can `return` at the top level, and a leading shebang line
+ * is allowed.
+ *
+ * @param source {string} the source code.
+ * @param options {Object} [optional] an object with two fields, both
+ *                         optional: `locations`, whether to add line
+ *                         numbers to nodes (see acorn), and `fileName`, the
+ *                         file name of the source.
+ * @returns {Object} the AST.
+ */
+function parse(source, options) {
+	var fileName = options && options.fileName || '';
+	var acornOptions = {
+		ecmaVersion: 'latest',
+		sourceType: /\.mjs$/.test(fileName) ? 'module' : 'script',
+		allowHashBang: true,
+		allowReturnOutsideFunction: !/\.mjs$/.test(fileName),
+		locations: !!(options && options.locations)
+	};
+
+	try {
+		return acorn.parse(source, acornOptions);
+	} catch (e) {
+		if (acornOptions.sourceType === 'module' || /\.cjs$/.test(fileName)) {
+			throw e;
+		}
+		acornOptions.sourceType = 'module';
+		acornOptions.allowReturnOutsideFunction = false;
+		try {
+			return acorn.parse(source, acornOptions);
+		} catch (e2) {
+			// Report the error of the script, which is more likely.
+			throw e;
+		}
+	}
+}
+
+/**
+ * This function checks whether a node is a function node, including arrow
+ * functions.
+ *
+ * @param node {Object}
+ * @returns {boolean}
+ */
+function isFunction(node) {
+	return node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' ||
+		   node.type === 'ArrowFunctionExpression';
+}
+
+// Names bound by Node's CommonJS module wrapper.
+var WRAPPER_NAMES = ['require', 'module', 'exports', '__filename', '__dirname'];
+
+// Names bound by the module wrapper, or in every function, which aren't
+// reported as captured variables, see `analyzeFunction()`.
+var IMPLICIT_NAMES = ['arguments'].concat(WRAPPER_NAMES);
+
+// Kinds of bindings that can't be read before their declarations.
+var LEXICAL_KINDS = ['let', 'const', 'class'];
+
+/**
+ * This function returns the identifiers of the variables bound by a
+ * pattern, see `getBoundNames()`.
+ *
+ * @param node {Object} an `Identifier` or a pattern node.
+ * @returns {Array} the `Identifier` nodes.
+ * @private
+ */
+function _boundIdentifiers(node) {
+	var result = [];
+
+	if (!node) {
+		return result;
+	}
+	switch (node.type) {
+		case 'Identifier':
+			result.push(node);
+			break;
+		case 'ObjectPattern':
+			node.properties.forEach(function(prop) {
+				result = result.concat(_boundIdentifiers(prop.type === 'RestElement' ? prop : prop.value));
+			});
+			break;
+		case 'ArrayPattern':
+			node.elements.forEach(function(element) {
+				result = result.concat(_boundIdentifiers(element));
+			});
+			break;
+		case 'RestElement':
+			result = _boundIdentifiers(node.argument);
+			break;
+		case 'AssignmentPattern':
+			result = _boundIdentifiers(node.left);
+			break;
+	}
+	return result;
+}
+
+/**
+ * This function returns the names of the variables bound by a pattern, eg,
+ * `a`, `b` and `c` of `{a, b: [b, ...c]}`.
+ *
+ * @param node {Object} an `Identifier` or a pattern node, eg, the `id` of a
+ *                      `VariableDeclarator`, or a parameter of a function.
+ * @returns {Array} the names.
+ */
+function getBoundNames(node) {
+	return _boundIdentifiers(node).map(function(id) {
+		return id.name;
+	});
+}
+
+/**
+ * This function walks the AST rooted at `node` in pre-order, calling
+ * `callback(node, parent)` on every node. If the callback returns false,
+ * the children of that node are skipped.
+ *
+ * Unlike traversals that only follow `body`, this visits every child node,
+ * eg, those in expressions, `if` branches and `try` blocks.
+ *
+ * @param node {Object} the root node.
+ * @param callback {Function}
+ * @param parent {Object} [optional] parent of the root node.
+ */
+function walk(node, callback, parent) {
+	var keys, value, i, j;
+
+	if (callback(node, parent || null) === false) {
+		return;
+	}
+
+	keys = Object.keys(node);
+	for (i = 0; i < keys.length; i++) {
+		value = node[keys[i]];
+		if (value instanceof Array) {
+			for (j = 0; j < value.length; j++) {
+				if (isNode(value[j])) {
+					walk(value[j], callback, node);
+				}
+			}
+		} else if (isNode(value)) {
+			walk(value, callback, node);
+		}
+	}
+}
+
+/**
+ * This function checks whether an identifier refers to a variable, rather
+ * than being, eg, a property name or a label. Identifiers that declare
+ * variables are told apart by the caller.
+ *
+ * @param node {Object} the `Identifier` node.
+ * @param parent {Object} its parent node.
+ * @returns {boolean}
+ * @private
+ */
+function _isReference(node, parent) {
+	switch (parent.type) {
+		case 'MemberExpression':
+			return parent.object === node || parent.computed;
+		case 'Property':
+		case 'MethodDefinition':
+		case 'PropertyDefinition':
+			return parent.value === node || parent.computed;
+		case 'LabeledStatement':
+		case 'BreakStatement':
+		case 'ContinueStatement':
+		case 'MetaProperty':
+		case 'ImportSpecifier':
+		case 'ImportDefaultSpecifier':
+		case 'ImportNamespaceSpecifier':
+		case 'ExportSpecifier':
+			return false;
+	}
+	return true;
+}
+
+/**
+ * This function returns the innermost scope that contains a node, see
+ * `_analyzeScopes()`.
+ *
+ * @param scopes {Array} the scopes.
+ * @param node {Object} the node.
+ * @param isFunction {boolean} whether to only look for function scopes,
+ *                             eg, for `var` declarations.
+ * @returns {Object|null}
+ * @private
+ */
+function _findScope(scopes, node, isFunction) {
+	var result = null;
+	var i, scope;
+
+	for (i = 0; i < scopes.length; i++) {
+		scope = scopes[i];
+		if (scope.node !== node && scope.node.start <= node.start && scope.node.end >= node.end &&
+				(!isFunction || scope.isFunction) &&
+				(!result || scope.node.end - scope.node.start <= result.node.end - result.node.start)) {
+			result = scope;
+		}
+	}
+	return result;
+}
+
+/**
+ * This function finds the scopes in an AST, and the variables declared in
+ * them. Function scopes are those of functions and the program, in which
+ * parameters, `var` declarations and functions (and `let`, `const` and
+ * classes at their top level) are declared; block scopes are those of
+ * blocks, loop heads, `switch` statements and `catch` clauses, in which
+ * `let`, `const`, classes, functions and `catch` parameters are declared.
+ * The name of a function or class expression is declared in its own scope.
+ *
+ * @param root {Object} the AST, parsed with `locations`.
+ * @returns {Object} an object with two fields: `scopes`, an array of
+ *                   objects with three fields: `node`, `isFunction` and
+ *                   `bindings`, which maps each name declared in the scope
+ *                   to an object with these fields: `name`, `kind` (param,
+ *                   var, let, const, function, class, catch, import or
+ *                   self), `id` (the `Identifier` node), `line` and `scope`.
+ *                   The other field, `declared`, maps the offsets of the
+ *                   identifiers that declare variables to true.
+ * @private
+ */
+function _analyzeScopes(root) {
+	var scopes = [];
+	var declared = {};
+
+	function ownScope(node) {
+		var i;
+		for (i = 0; i < scopes.length; i++) {
+			if (scopes[i].node === node) {
+				return scopes[i];
+			}
+		}
+		return null;
+	}
+
+	function declare(scope, id, kind) {
+		declared[id.start] = true;
+		if (scope && !Object.prototype.hasOwnProperty.call(scope.bindings, id.name)) {
+			scope.bindings[id.name] = {name: id.name, kind: kind, id: id, line: id.loc.start.line, scope: scope};
+		}
+	}
+
+	// Find the scopes first, since declarations may come before the blocks
+	// they're hoisted to, eg, `var` in nested blocks.
+	walk(root, function(node, parent) {
+		if (node.type === 'Program' || isFunction(node)) {
+			scopes.push({node: node, isFunction: true, bindings: Object.create(null)});
+		} else if (/^(For|ForIn|ForOf|Switch)Statement$/.test(node.type) || node.type === 'CatchClause' ||
+				node.type === 'StaticBlock' || (node.type === 'ClassExpression' && node.id) ||
+				(node.type === 'BlockStatement' && !(parent && isFunction(parent)))) {
+			scopes.push({node: node, isFunction: false, bindings: Object.create(null)});
+		}
+		return true;
+	});
+
+	walk(root, function(node) {
+		var scope;
+
+		if (isFunction(node)) {
+			scope = ownScope(node);
+			if (node.id) {
+				if (node.type === 'FunctionDeclaration') {
+					declare(_findScope(scopes, node, false), node.id, 'function');
+				} else {
+					declare(scope, node.id, 'self');
+				}
+			}
+			node.params.forEach(function(param) {
+				_boundIdentifiers(param).forEach(function(id) {
+					declare(scope, id, 'param');
+				});
+			});
+		} else if (node.type === 'VariableDeclaration') {
+			scope = _findScope(scopes, node, node.kind === 'var');
+			node.declarations.forEach(function(declarator) {
+				_boundIdentifiers(declarator.id).forEach(function(id) {
+					declare(scope, id, node.kind);
+				});
+			});
+		} else if (node.type === 'ClassDeclaration' && node.id) {
+			declare(_findScope(scopes, node, false), node.id, 'class');
+		} else if (node.type === 'ClassExpression' && node.id) {
+			declare(ownScope(node), node.id, 'self');
+		} else if (node.type === 'CatchClause') {
+			scope = ownScope(node);
+			_boundIdentifiers(node.param).forEach(function(id) {
+				declare(scope, id, 'catch');
+			});
+		} else if (/^Import(Default|Namespace)?Specifier$/.test(node.type)) {
+			declare(_findScope(scopes, node, true), node.local, 'import');
+		}
+		return true;
+	});
+
+	return {scopes: scopes, declared: declared};
+}
+
+/**
+ * This function finds the variables of a function, and the variables of
+ * enclosing scopes it reads, grouped by their kinds. Variables of nested
+ * functions aren't included, but the variables they read from enclosing
+ * scopes of the function are.
+ *
+ * @param root {Object} the AST, parsed with `locations`.
+ * @param func {Object} the function node in it, or the root node for the
+ *                      top level code.
+ * @param options {Object} [optional] an object with two fields, both
+ *                         optional:
+ *                         1. line: only include the variables live on this
+ *                            line, ie, those whose scopes contain the line,
+ *                            and, for `let`, `const` and classes, that are
+ *                            declared on or before it.
+ *                         2. partial: whether the AST is only a part of the
+ *                            source, eg, of a function's source alone (see
+ *                            `parseFunction()`), in which case the names
+ *                            not declared in it are taken as captured,
+ *                            unless they're properties of the global object.
+ *                            Otherwise they are globals.
+ * @returns {Object} an object with four fields, each of which is an array
+ *                   of the variables, ie, objects with three fields:
+ *                   `name`, `kind` (see `_analyzeScopes()`) and `line`
+ *                   (where it's declared, or null if it's outside of the
+ *                   AST), in the order of their declarations:
+ *                   1. params: the parameters.
+ *                   2. locals: the variables declared in the function's
+ *                      own scope, eg, with `var`, or functions.
+ *                   3. blockScoped: the variables declared in blocks, loop
+ *                      heads and `catch` clauses of the function.
+ *                   4. captured: the variables of enclosing scopes that are
+ *                      read or written in the function.
+ *                   Variables of the same name are only included once in
+ *                   each group.
+ */
+function analyzeFunction(root, func, options) {
+	var line = options && options.line;
+	var analysis = _analyzeScopes(root);
+	var result = {params: [], locals: [], blockScoped: [], captured: []};
+	var seen = {params: {}, locals: {}, blockScoped: {}, captured: {}};
+
+	function inFunc(node) {
+		return node.start >= func.start && node.end <= func.end;
+	}
+
+	function add(group, binding) {
+		if (!seen[group][binding.name]) {
+			seen[group][binding.name] = true;
+			result[group].push({name: binding.name, kind: binding.kind, line: binding.line});
+		}
+	}
+
+	function isLive(binding) {
+		var loc = binding.scope.node.loc;
+		return line === undefined || (line >= loc.start.line && line <= loc.end.line &&
+			(LEXICAL_KINDS.indexOf(binding.kind) === -1 || binding.line <= line));
+	}
+
+	// Collect the variables declared in the function, and in its blocks,
+	// but not in nested functions.
+	analysis.scopes.filter(function(scope) {
+		var owner = scope.isFunction ? scope : _findScope(analysis.scopes, scope.node, true);
+		return owner && owner.node === func;
+	}).sort(function(a, b) {
+		return a.node.start - b.node.start;
+	}).forEach(function(scope) {
+		Object.keys(scope.bindings).map(function(name) {
+			return scope.bindings[name];
+		}).sort(function(a, b) {
+			return a.id.start - b.id.start;
+		}).forEach(function(binding) {
+			if (binding.kind === 'self' || !isLive(binding)) {
+				return;
+			}
+			if (binding.kind === 'param') {
+				add('params', binding);
+			} else {
+				add(scope.node === func ? 'locals' : 'blockScoped', binding);
+			}
+		});
+	});
+
+	// Resolve the references in the function to their innermost
+	// declarations. Those declared outside of the function are captured,
+	// except the function's own name.
+	walk(func, function(node, parent) {
+		var i, scope, binding;
+
+		if (node.type !== 'Identifier' || !parent || analysis.declared[node.start] || !_isReference(node, parent)) {
+			return true;
+		}
+		for (i = 0; i < analysis.scopes.length; i++) {
+			scope = analysis.scopes[i];
+			if (Object.prototype.hasOwnProperty.call(scope.bindings, node.name) &&
+					scope.node.start <= node.start && scope.node.end >= node.end &&
+					(!binding || scope.node.end - scope.node.start <= binding.scope.node.end - binding.scope.node.start)) {
+				binding = scope.bindings[node.name];
+			}
+		}
+		if (binding) {
+			if (!inFunc(binding.scope.node) && binding.id !== func.id) {
+				add('captured', binding);
+			}
+		} else if (options && options.partial && IMPLICIT_NAMES.indexOf(node.name) === -1 && !(node.name in global)) {
+			add('captured', {name: node.name, kind: null, line: null});
+		}
+		return true;
+	});
+
+	return result;
+}
+
+/**
+ * This function parses the source of a function object.
+ *
+ * @param func {Function} the function.
+ * @returns {Object} an object with two fields: `root`, the AST (with
+ *                   `locations`, counting lines from the function's first
+ *                   line), and `node`, the function node in it. Both are
+ *                   null if the source can't be parsed, eg, for native or
+ *                   bound functions (`function max() { [native code] }`).
+ */
+function parseFunction(func) {
+	var source = func.toString();
+	var root, node = null;
+
+	// The source of a method, eg, `add(item) {...}`, isn't an expression by
+	// itself, so try it in an object literal too.
+	try {
+		root = parse('(' + source + '\n)', {locations: true});
+	} catch (e) {
+		try {
+			root = parse('({' + source + '\n})', {locations: true});
+		} catch (e2) {
+			return {root: null, node: null};
+		}
+	}
+
+	// Find the outermost function, ie, the one passed in.
+	walk(root, function(child) {
+		if (node) {
+			return false;
+		}
+		if (isFunction(child)) {
+			node = child;
+			return false;
+		}
+		return true;
+	});
+
+	return {root: root, node: node};
+}
+
 module.exports = {
+	WRAPPER_NAMES: WRAPPER_NAMES,
+	parse: parse,
+	walk: walk,
+	getBoundNames: getBoundNames,
+
 	/**
-	 * This function extracts local variables from the given function(s) and
-	 * returns them in an array. The implementation is based on acorn.
+	 * This function returns the path from the root node to the smallest
+	 * node that contains the specified offset, ie, an array of nodes in
+	 * which each node is the parent of the next one.
+	 *
+	 * @param root {Object} the root node.
+	 * @param offset {int} the offset in the source text.
+	 * @returns {Array} the nodes on the path, starting with `root`.
+	 */
+	getNodePath: function(root, offset) {
+		var result = [];
+		walk(root, function(node) {
+			if (node.start <= offset && node.end > offset) {
+				result.push(node);
+				return true;
+			}
+			return false;
+		});
+		return result;
+	},
+
+	/**
+	 * This function returns a readable name of a function node, which
+	 * is either its own name, or the name of what it's assigned to, eg,
+	 * the variable, property or method. 'anonymous' is returned if no
+	 * name can be found.
+	 *
+	 * @param node {Object} a function node.
+	 * @param parent {Object} [optional] the parent node of `node`.
+	 * @returns {string}
+	 */
+	getFunctionName: function(node, parent) {
+		if (node.id) {
+			return node.id.name;
+		}
+		if (parent) {
+			if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+				return parent.id.name;
+			}
+			if (parent.type === 'AssignmentExpression') {
+				if (parent.left.type === 'Identifier') {
+					return parent.left.name;
+				}
+				if (parent.left.type === 'MemberExpression' && !parent.left.computed) {
+					return parent.left.property.name;
+				}
+			}
+			if ((parent.type === 'Property' || parent.type === 'MethodDefinition' ||
+					parent.type === 'PropertyDefinition') && parent.key && !parent.computed) {
+				return parent.key.name || String(parent.key.value);
+			}
+		}
+		return 'anonymous';
+	},
+
+	isFunction: isFunction,
+	analyzeFunction: analyzeFunction,
+	parseFunction: parseFunction,
+
+	/**
+	 * This function extracts the variables of the given function(s) and
+	 * returns their names in an array, ie, its parameters, its local and
+	 * block-scoped variables, and the variables of enclosing scopes it
+	 * reads, see `analyzeFunction()`.
 	 *
 	 * Multiple functions can be passed in, and their local variable names
 	 * will be returned in a single array, without trying to remove duplicates.
@@ -19,63 +547,20 @@ module.exports = {
 	 * @returns {Array} the local variable names extracted.
 	 */
 	extractLocalVarsFromFunction: function(func/*,...*/) {
-		var ast;
 		var localVars = [];
-		var inFunc;
-
-		// Traverse the AST and look for variable declarations.
-		function traverse(node) {
-			var dnode, ditem;
-			var i;
-
-			if (node.type === 'FunctionDeclaration') {
-				if (inFunc) {
-					// We are already inside the target function's node.
-					// Stop here as we don't need local variables of nested
-					// functions inside the target function.
-					return
-				} else {
-					// This is the target function's node, continue processing
-					// its children, but don't enter any other function nodes
-					// in the future.
-					inFunc = true;
-				}
-			} else if (node.type === 'ForStatement') {
-				// There may be variable declarations in its `init` section.
-				if (node.init && node.init.type === 'VariableDeclaration') {
-					dnode = node.init;
-				}
-			} else if (node.type === 'VariableDeclaration') {
-				dnode = node;
-			}
-
-			// Extract variable declarations from the declaration node.
-			if (dnode) {
-				for (i = 0; i < dnode.declarations.length; i++) {
-					ditem = dnode.declarations[i];
-					if (ditem.type === 'VariableDeclarator') {
-						localVars.push(ditem.id.name);
-					}
-				}
-			}
-
-			// Process its children if any.
-			if (node.body instanceof Array) {
-				for (i = 0; i < node.body.length; i++) {
-					traverse(node.body[i]);
-				}
-			} else if (node.body) {
-				traverse(node.body);
-			}
-		}
+		var i, parsed, result;
 
-		// Let acorn parse the functions' texts and get their AST's one by one.
-		for (var i = 0; i < arguments.length; i++) {
-			ast = acorn.parse(arguments[i].toString());
-			if (ast) {
-				inFunc = false;
-				traverse(ast);
+		for (i = 0; i < arguments.length; i++) {
+			parsed = parseFunction(arguments[i]);
+			if (!parsed.node) {
+				continue;
 			}
+			result = analyzeFunction(parsed.root, parsed.node, {partial: true});
+			[result.params, result.locals, result.blockScoped, result.captured].forEach(function(group) {
+				group.forEach(function(binding) {
+					localVars.push(binding.name);
+				});
+			});
 		}
 
 		return localVars;
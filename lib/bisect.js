@@ -0,0 +1,131 @@
+/**
+ * This module helps find the offending commit with `git bisect run`, using
+ * a probe as the oracle. At each commit, the program is run with the probe
+ * instrumentation (see `worktree.js`), and the commit is classified by the
+ * watched values of the probe when it's fired, against one of these
+ * expectations:
+ * 1. A reference run, eg, one recorded at a known good commit. The commit
+ *    is good if the watched values are the same as those of the same passes
+ *    in the reference run.
+ * 2. A predicate, a JavaScript expression on the watched values, eg,
+ *    `value.length === 3`. The commit is good if it's true at every firing.
+ */
+
+var snapshot = require('./snapshot');
+var store = require('./store');
+var report = require('./report');
+var normalize = require('./normalize');
+
+// Exit codes of a `git bisect run` step.
+var GOOD = 0;
+var BAD = 1;
+var SKIP = 125;
+var ABORT = 128;
+
+/**
+ * This function compiles a predicate from a JavaScript expression. The
+ * expression can use these variables:
+ * 1. values: the watched values decoded from snapshots, keyed by the watch
+ *    expressions, eg, `values['user.name']`.
+ * 2. value: the first watched value.
+ * 3. firing: the firing record, see `Probe.fire()`.
+ *
+ * @param expr {string} the expression.
+ * @returns {Function} the predicate, which is called with a firing record,
+ *                     and returns whether the expression is truthy.
+ */
+function compilePredicate(expr) {
+	var func = new Function('values', 'value', 'firing', 'return (' + expr + ');');
+
+	return function(firing) {
+		var values = {};
+		var keys = Object.keys(firing.watches);
+		for (var i = 0; i < keys.length; i++) {
+			values[keys[i]] = snapshot.decode(firing.watches[keys[i]]);
+		}
+		return !!func(values, keys.length > 0 ? values[keys[0]] : undefined, firing);
+	};
+}
+
+/**
+ * This function finds a named probe in a run.
+ *
+ * @param run {Object} the run.
+ * @param name {string} the name of the probe.
+ * @returns {Object|undefined} the saved probe.
+ */
+function findProbe(run, name) {
+	for (var i = 0; i < run.probes.length; i++) {
+		if (run.probes[i].name === name) {
+			return run.probes[i];
+		}
+	}
+	return undefined;
+}
+
+/**
+ * This function classifies a commit by a probe saved in a run on it.
+ *
+ * @param probe {Object} the saved probe.
+ * @param expectation {Object} an object with one of two fields: `reference`,
+ *                             the saved probe of the same name in the
+ *                             reference run, or `predicate`, returned by
+ *                             `compilePredicate()`.
+ * @returns {Object} an object with two fields: `code`, the exit code of the
+ *                   `git bisect run` step (GOOD, BAD or SKIP), and `reason`.
+ */
+function classify(probe, expectation) {
+	var firings = probe._firings || [];
+	var compared = 0;
+	// Nondeterministic noise hidden by the probe's normalization rules
+	// doesn't make a commit bad.
+	var rules = probe._normalize ? normalize.compile(probe._normalize) : null;
+	var i, j, keys, savedWatches;
+
+	for (i = 0; i < firings.length; i++) {
+		if (expectation.predicate) {
+			if (!expectation.predicate(firings[i])) {
+				return {
+					code: BAD,
+					reason: 'expectation not met on pass ' + report.formatPass(firings[i].context, firings[i].count)
+				};
+			}
+			compared++;
+			continue;
+		}
+
+		savedWatches = store.findSavedWatches(expectation.reference, probe._isConditional, firings[i]);
+		if (!savedWatches) {
+			// This pass isn't reached in the reference run.
+			continue;
+		}
+		keys = Object.keys(firings[i].watches);
+		for (j = 0; j < keys.length; j++) {
+			if (!savedWatches.hasOwnProperty(keys[j]) ||
+					report.generateObjectDiff(savedWatches[keys[j]], firings[i].watches[keys[j]], false, null
+											, {name: keys[j], normalize: rules}).length > 0) {
+				return {
+					code: BAD,
+					reason: keys[j] + ' differs from the reference on pass '
+						  + report.formatPass(firings[i].context, firings[i].count)
+				};
+			}
+		}
+		compared++;
+	}
+
+	if (compared === 0) {
+		return {code: SKIP, reason: 'no firing to compare'};
+	}
+	return {code: GOOD, reason: compared + ' firings as expected'};
+}
+
+module.exports = {
+	GOOD: GOOD,
+	BAD: BAD,
+	SKIP: SKIP,
+	ABORT: ABORT,
+	compilePredicate: compilePredicate,
+	findProbe: findProbe,
+	classify: classify
+};
@@ -0,0 +1,188 @@
+/**
+ * This module loads the probe configuration file, which declares probes
+ * to be injected into the program at load time (see `register.js`), so
+ * that no source file needs to be edited.
+ *
+ * The configuration file is either `.diffbug.json`, or `.diffbugrc.js`
+ * which exports the same object. It's looked up from the working directory
+ * upwards, unless the `DIFFBUG_CONFIG` environment variable specifies it.
+ * The object has the following fields, all optional:
+ * 1. options: global options of probes, see `Probe.setOptions()`.
+ * 2. profile: the profile name, see `Probe.setProfile()`. Default is built
+ *    from the path of the configuration file, see `register.js`.
+ * 3. baseline: the baseline, see `Probe.setBaseline()`.
+ * 4. changed: a revision, or true for `HEAD~1`. Functions that contain
+ *    lines changed since this commit are instrumented as implicit probes,
+ *    see `register.js`.
+ * 5. exceptions: if true, the local variables of stack frames are recorded
+ *    on uncaught exceptions, see `Probe.captureExceptions()`.
+ * 6. probes: an array of probes, each of which has these fields:
+ *    1. at: where to inject the probe, `<file>:<line>`, where the file is
+ *       relative to the configuration file. The probe is run right before
+ *       the statement that starts on this line.
+ *    2. watch: an expression to watch, or an array of them.
+ *    3. test: [optional] a condition to test, or an array of them, which
+ *       makes the probe conditional, see `Probe.prototype.test()`.
+ *    4. target: [optional] the passes to fire on, see `_parseTarget()` of
+ *       `probe.js`.
+ *    5. name: [optional] the name of the probe. Default is the `at` field.
+ *    6. options: [optional] other per-probe options.
+ *
+ * For example:
+ *
+ *     {
+ *         "probes": [
+ *             {"at": "lib/cart.js:42", "watch": ["total", "item.price"], "target": 3}
+ *         ]
+ *     }
+ */
+
+var fs = require('fs');
+var path = require('path');
+var instrument = require('./instrument');
+
+// Names of the configuration file, in the order of preference.
+var FILE_NAMES = ['.diffbugrc.js', '.diffbug.json'];
+
+/**
+ * This function finds the configuration file from a directory upwards.
+ *
+ * @param dir {string} the directory to start from.
+ * @returns {string|null} the configuration file, or null if not found.
+ */
+function find(dir) {
+	var i, fileName, parent;
+
+	if (process.env.DIFFBUG_CONFIG) {
+		return path.resolve(process.env.DIFFBUG_CONFIG);
+	}
+
+	dir = path.resolve(dir);
+	while (true) {
+		for (i = 0; i < FILE_NAMES.length; i++) {
+			fileName = path.join(dir, FILE_NAMES[i]);
+			if (fs.existsSync(fileName)) {
+				return fileName;
+			}
+		}
+		parent = path.dirname(dir);
+		if (parent === dir) {
+			return null;
+		}
+		dir = parent;
+	}
+}
+
+// Convert a field that's either a value or an array of them to an array.
+function _toArray(value) {
+	if (value === undefined || value === null) {
+		return [];
+	}
+	return value instanceof Array ? value : [value];
+}
+
+/**
+ * This function validates a probe in the configuration file, and returns
+ * it in a normalized form.
+ *
+ * @param item {Object} the probe in the configuration file.
+ * @param index {int} its index.
+ * @param dir {string} the directory of the configuration file.
+ * @returns {Object} an object with these fields: `name`, `at`, `fileName`
+ *                   (full path), `line`, `watch` and `test` (arrays of
+ *                   expressions), and `options` (including `target`).
+ * @private
+ */
+function _normalizeProbe(item, index, dir) {
+	var where = 'probes[' + index + ']';
+	var match, options, keys, i, exprs;
+
+	if (!(item instanceof Object) || typeof item.at !== 'string') {
+		throw new Error(where + ' must have an "at" field');
+	}
+	match = /^(.+):(\d+)$/.exec(item.at);
+	if (!match) {
+		throw new Error(where + '.at must be <file>:<line>, not ' + item.at);
+	}
+
+	options = {};
+	if (item.options instanceof Object) {
+		keys = Object.keys(item.options);
+		for (i = 0; i < keys.length; i++) {
+			options[keys[i]] = item.options[keys[i]];
+		}
+	}
+	if (item.target !== undefined) {
+		options.target = item.target;
+	}
+
+	// Fail early on syntax errors, rather than when the file is loaded.
+	exprs = _toArray(item.watch).concat(_toArray(item.test));
+	for (i = 0; i < exprs.length; i++) {
+		if (typeof exprs[i] !== 'string') {
+			throw new Error(where + ' has a non-string expression');
+		}
+		try {
+			instrument.checkExpression(exprs[i]);
+		} catch (e) {
+			throw new Error(where + ' has an invalid expression ' + exprs[i] + ': ' + e.message);
+		}
+	}
+
+	return {
+		name: item.name || item.at,
+		at: item.at,
+		fileName: path.resolve(dir, match[1]),
+		line: parseInt(match[2], 10),
+		watch: _toArray(item.watch),
+		test: _toArray(item.test),
+		options: options
+	};
+}
+
+/**
+ * This function loads and validates the configuration file, see above.
+ *
+ * @param dir {string} the directory to start looking for it from.
+ * @returns {Object|null} the configuration, with probes normalized by
+ *                        `_normalizeProbe()` and an additional field,
+ *                        `fileName`, the configuration file. Null if there
+ *                        isn't a configuration file.
+ */
+function load(dir) {
+	var fileName = find(dir);
+	var data, result;
+
+	if (!fileName) {
+		return null;
+	}
+
+	if (/\.js$/.test(fileName)) {
+		data = require(fileName);
+	} else {
+		data = JSON.parse(fs.readFileSync(fileName).toString());
+	}
+
+	try {
+		result = {
+			fileName: fileName,
+			options: data.options || null,
+			profile: data.profile || null,
+			baseline: data.baseline || null,
+			changed: data.changed || null,
+			exceptions: !!data.exceptions,
+			probes: _toArray(data.probes).map(function(item, index) {
+				return _normalizeProbe(item, index, path.dirname(fileName));
+			})
+		};
+	} catch (e) {
+		e.message = fileName + ': ' + e.message;
+		throw e;
+	}
+	return result;
+}
+
+module.exports = {
+	find: find,
+	load: load
+};
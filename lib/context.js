@@ -0,0 +1,94 @@
+/**
+ * This module keeps track of logical asynchronous contexts, eg, incoming
+ * requests of a server, so that probes can count passes in each of them
+ * separately.
+ *
+ * In an event-driven program, passes over a block of code from many
+ * interleaved requests are mixed together, and pass N in one run is usually
+ * from a different request than pass N in the next run. If each request is
+ * run in its own context, a probe can instead identify a pass as "pass N in
+ * request #R", which is much more stable between runs.
+ *
+ * Contexts are propagated through asynchronous operations (callbacks,
+ * promises, timers, etc.) with `AsyncLocalStorage`.
+ */
+
+var AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+
+var storage = null;
+
+// Contexts that aren't given keys are numbered in their order of creation.
+var nextId = 1;
+
+/**
+ * This function returns the `AsyncLocalStorage` instance that holds the
+ * current context, creating it if necessary.
+ *
+ * @returns {Object}
+ * @private
+ */
+function _getStorage() {
+	if (storage === null) {
+		storage = new AsyncLocalStorage();
+	}
+	return storage;
+}
+
+/**
+ * This function runs a function in a new context. Everything executed by
+ * the function, synchronously or asynchronously, belongs to this context.
+ *
+ * @param func {Function} the function to run.
+ * @param key {string|int} [optional] the key that identifies the context.
+ *                         It should be the same for the same context in
+ *                         different runs, eg, the URL of a request. If not
+ *                         specified, contexts are numbered 1, 2, 3, ... in
+ *                         their order of creation.
+ * @returns {*} the return value of `func`.
+ */
+function run(func, key) {
+	if (key === undefined || key === null) {
+		key = nextId++;
+	}
+	return _getStorage().run({key: key}, func);
+}
+
+/**
+ * This function returns a function that calls `func` (with the same `this`
+ * and arguments) in a new context every time it's called. This is handy
+ * for wrapping request handlers, eg:
+ *
+ *     http.createServer(Probe.bindContext(function(req, res) { ... }));
+ *
+ * @param func {Function} the function to wrap.
+ * @param getKey {Function} [optional] called with the same `this` and
+ *                          arguments to get the key of each new context,
+ *                          see `run()` for details.
+ * @returns {Function} the wrapper function.
+ */
+function bind(func, getKey) {
+	return function() {
+		var self = this;
+		var args = arguments;
+		return run(function() {
+			return func.apply(self, args);
+		}, getKey ? getKey.apply(self, args) : undefined);
+	};
+}
+
+/**
+ * This function returns the key of the current context, or null if not
+ * in any context.
+ *
+ * @returns {string|int|null}
+ */
+function current() {
+	var store = storage && storage.getStore();
+	return store ? store.key : null;
+}
+
+module.exports = {
+	run: run,
+	bind: bind,
+	current: current
+};
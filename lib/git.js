@@ -10,13 +10,518 @@
 
 var child_process = require('child_process');
 var path = require('path');
-var fs = require('fs');
-var util = require('util');
+var annotations = require('./annotation');
+var sourcemap = require('./sourcemap');
 
 function trim(s) {
 	return s.replace(/^\s+|\s+$/g, '');
 }
 
+// Maps directories to the top level paths of the repositories they are in
+// (or null if they aren't in one).
+var repoRootCache = {};
+
+/**
+ * This function returns the top level absolute path of the Git repository
+ * a directory is in, or null if it isn't in a repository (or Git isn't
+ * available). Unlike `annotateStackTrace()`, this function is synchronous,
+ * and the result is cached for each directory.
+ *
+ * @param dir {string} the directory.
+ * @returns {string|null}
+ */
+function getRepoRoot(dir) {
+	if (repoRootCache[dir] === undefined) {
+		try {
+			repoRootCache[dir] = trim(child_process.execSync('git rev-parse --show-toplevel', {
+				cwd: dir,
+				stdio: ['ignore', 'pipe', 'ignore']
+			}).toString());
+		} catch (e) {
+			// An error will occur if we are not under a Git repository.
+			repoRootCache[dir] = null;
+		}
+	}
+	return repoRootCache[dir];
+}
+
+// Caches the result of `getHeadInfo()` for each directory.
+var headInfoCache = {};
+
+/**
+ * This function returns information on the `HEAD` of the Git repository
+ * a directory is in: an object with three fields, `commit` (the SHA of
+ * `HEAD`), `branch` (the current branch name, or null if detached), and
+ * `dirty` (whether there are uncommitted changes, including untracked
+ * files). Outside of a repository, all fields are null.
+ *
+ * Like `getRepoRoot()`, this function is synchronous, and the result is
+ * cached for each directory, so it reflects the state when it's first
+ * called.
+ *
+ * @param dir {string} the directory.
+ * @returns {Object}
+ */
+function getHeadInfo(dir) {
+	var info = {commit: null, branch: null, dirty: null};
+	var options = {cwd: dir, stdio: ['ignore', 'pipe', 'ignore']};
+
+	if (headInfoCache[dir] === undefined) {
+		if (getRepoRoot(dir)) {
+			try {
+				info.commit = trim(child_process.execSync('git rev-parse HEAD', options).toString());
+				info.branch = trim(child_process.execSync('git rev-parse --abbrev-ref HEAD', options).toString());
+				if (info.branch === 'HEAD') {
+					info.branch = null;
+				}
+			} catch (e) {
+				// There isn't any commit yet.
+			}
+			try {
+				info.dirty = trim(child_process.execSync('git status --porcelain', options).toString()) !== '';
+			} catch (e) {
+				// Leave it unknown.
+			}
+		}
+		headInfoCache[dir] = info;
+	}
+	return headInfoCache[dir];
+}
+
+// Caches the result of `resolveCommit()` for each directory and revision.
+var commitCache = {};
+
+/**
+ * This function resolves a revision (eg, a SHA, a branch name, or `HEAD~1`)
+ * to the full SHA of a commit in the Git repository a directory is in. Like
+ * `getHeadInfo()`, this function is synchronous, and the result is cached.
+ *
+ * @param rev {string} the revision.
+ * @param dir {string} the directory.
+ * @returns {string|null} the SHA, or null if the revision can't be resolved.
+ */
+function resolveCommit(rev, dir) {
+	var key = dir + '\n' + rev;
+
+	if (commitCache[key] === undefined) {
+		try {
+			// `execFileSync()` so that the revision isn't parsed by the shell.
+			commitCache[key] = trim(child_process.execFileSync('git', ['rev-parse', '--verify', '--quiet', rev + '^{commit}'], {
+				cwd: dir,
+				stdio: ['ignore', 'pipe', 'ignore']
+			}).toString());
+		} catch (e) {
+			// Not a commit, or not under a Git repository.
+			commitCache[key] = null;
+		}
+	}
+	return commitCache[key];
+}
+
+/**
+ * This function parses the output of `git diff -U0` into hunks of changed
+ * lines in each file.
+ *
+ * @param diff {string} the output of `git diff -U0`.
+ * @returns {Object} a dictionary. Key: file name in the diff (relative to
+ *                   the top level of the repository). Value: an array of
+ *                   5-element arrays ([newStartLine, newEndLine, [hunk lines],
+ *                   oldStartLine, oldEndLine]), each representing a hunk.
+ *                   For hunks that only delete lines, `newEndLine` is
+ *                   `newStartLine - 1`, and the lines are deleted after line
+ *                   `newStartLine`. Likewise for the old lines of hunks that
+ *                   only add lines.
+ */
+function parseDiff(diff) {
+	// Dictionary. Key: filename in the diff. Value: an array of
+	// 5-element arrays ([newStartLine, newEndLine, [hunk lines],
+	// oldStartLine, oldEndLine]), each representing a hunk.
+	var diffCache = {};
+	var newFileName, newStartLine, newLineCount, oldStartLine, oldLineCount;
+	// Note that diff sections without the "b" part, in other words,
+	// the old file is deleted, are ignored.
+	var regExpFileHeading = /^--- .*\n^\+\+\+ b\/(.+)\n/gm;
+	var regExpHunkHeading = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@.*\n/gm;
+	var files, fileText, hunks, hunkText, lines;
+	var i, j, k;
+
+	// First parse file sections in the diff
+	files = diff.split(regExpFileHeading);
+	for (i = 1; i < files.length; i += 2) {
+		newFileName = files[i];
+		fileText = files[i + 1];
+
+		diffCache[newFileName] = [];
+		// Then parse hunks in each file section
+		hunks = fileText.split(regExpHunkHeading);
+		for (j = 1; j < hunks.length; j += 5) {
+			oldStartLine = parseInt(hunks[j]);
+			if (hunks[j + 1] !== undefined) {
+				oldLineCount = parseInt(hunks[j + 1]);
+			} else {
+				oldLineCount = 1;
+			}
+			newStartLine = parseInt(hunks[j + 2]);
+			if (hunks[j + 3] !== undefined) {
+				newLineCount = parseInt(hunks[j + 3]);
+			} else {
+				newLineCount = 1;
+			}
+			hunkText = hunks[j + 4];
+
+			// Finally parse changed lines in each hunk
+			lines = hunkText.split('\n');
+			k = 0;
+			while (lines[k][0] === '+' || lines[k][0] === '-') {
+				k++;
+			}
+			// The first k lines are the hunk
+			lines.length = k;
+
+			diffCache[newFileName].push([newStartLine, newStartLine + newLineCount - 1, lines,
+										 oldStartLine, oldStartLine + oldLineCount - 1]);
+		}
+	}
+
+	return diffCache;
+}
+
+/**
+ * This function maps a line number in the old version of a file to the
+ * new version, by the hunks of the diff between them. A line that's
+ * changed is mapped to the first line of its replacement (or the line
+ * after, if it's deleted).
+ *
+ * @param hunks {Array} the hunks of the file, see `parseDiff()`. Null or
+ *                      undefined if the file isn't changed.
+ * @param line {int} the line number in the old version.
+ * @returns {int} the line number in the new version.
+ */
+function mapLine(hunks, line) {
+	var offset = 0;
+	var i, newCount, oldCount;
+
+	for (i = 0; hunks && i < hunks.length; i++) {
+		newCount = hunks[i][1] - hunks[i][0] + 1;
+		oldCount = hunks[i][4] - hunks[i][3] + 1;
+		if (oldCount === 0) {
+			// Lines are added after line `oldStartLine`.
+			if (line <= hunks[i][3]) {
+				break;
+			}
+		} else if (line < hunks[i][3]) {
+			break;
+		} else if (line <= hunks[i][4]) {
+			return newCount > 0 ? hunks[i][0] : hunks[i][0] + 1;
+		}
+		offset += newCount - oldCount;
+	}
+	return line + offset;
+}
+
+/**
+ * This function runs a Git command synchronously, and returns its output.
+ * `execFileSync()` is used so that revisions aren't parsed by the shell.
+ *
+ * @param args {Array} the arguments.
+ * @param cwd {string} the working directory.
+ * @param input {string} [optional] the input of the command.
+ * @returns {string} the output.
+ * @private
+ */
+function _git(args, cwd, input) {
+	return child_process.execFileSync('git', args, {
+		cwd: cwd,
+		input: input,
+		stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'ignore'],
+		maxBuffer: 256 * 1024 * 1024
+	}).toString();
+}
+
+/**
+ * This function resolves a diff scope, ie, which changes are considered,
+ * into the arguments of the Git commands that get them. The scope is
+ * either a revision, the changes since which (including uncommitted ones)
+ * are considered, or an object with these fields:
+ * 1. mode: one of these (default 'worktree'):
+ *    1. 'worktree': changes between `base` (default `HEAD~1`) and the
+ *       working directory.
+ *    2. 'index': changes between `base` (default `HEAD`) and the index,
+ *       ie, staged changes.
+ *    3. 'range': changes between `base` (required) and `target` (default
+ *       `HEAD`), eg, the commits found by `git bisect`.
+ *    4. 'merge-base': changes between the merge base of `base` (default
+ *       `main`, or `master` if there isn't `main`) and `target`, and
+ *       `target` (default the working directory), ie, the changes of the
+ *       current branch.
+ * 2. base, target: revisions, see above.
+ *
+ * Null or undefined is the same as `HEAD~1`. Note that line numbers are of
+ * the target, which should be the source that's running.
+ *
+ * @param scope {string|Object|null} the diff scope.
+ * @param dir {string} a directory in the repository.
+ * @returns {Object} an object with these fields: `diff`, the arguments of
+ *                   `git diff`, `blame`, those of `git blame` (before the
+ *                   line ranges), `index`, whether the target is the index,
+ *                   and `commits`, how many commits are in the scope.
+ */
+function resolveDiffScope(scope, dir) {
+	var mode, base, target, range, result;
+
+	if (!(scope instanceof Object)) {
+		scope = {base: scope || undefined};
+	}
+	mode = scope.mode || 'worktree';
+	base = scope.base;
+	target = scope.target;
+
+	if (mode === 'worktree') {
+		base = base || 'HEAD~1';
+	} else if (mode === 'index') {
+		base = base || 'HEAD';
+	} else if (mode === 'range') {
+		if (!base) {
+			throw new Error('The range diff scope requires a base revision');
+		}
+		target = target || 'HEAD';
+	} else if (mode === 'merge-base') {
+		base = base || (resolveCommit('main', dir) ? 'main' : 'master');
+		try {
+			base = trim(_git(['merge-base', base, target || 'HEAD'], dir));
+		} catch (e) {
+			throw new Error('No merge base of ' + (scope.base || 'main or master') + ' and ' + (target || 'HEAD'));
+		}
+	} else {
+		throw new Error('Unknown diff scope: ' + mode);
+	}
+
+	if (!resolveCommit(base, dir)) {
+		throw new Error('Unknown revision: ' + base);
+	}
+	if (target && !resolveCommit(target, dir)) {
+		throw new Error('Unknown revision: ' + target);
+	}
+
+	range = base + '..' + (target || 'HEAD');
+	result = {
+		diff: ['--no-pager', 'diff', '-U0'].concat(mode === 'index' ? ['--cached'] : [], base, target ? [target] : [], '--'),
+		blame: target ? [range] : ['^' + base],
+		index: mode === 'index',
+		commits: parseInt(_git(['rev-list', '--count', range], dir), 10) || 0
+	};
+	return result;
+}
+
+/**
+ * This function returns the hunks of changed lines in a diff scope (eg,
+ * between a commit and the working directory) of the Git repository a
+ * directory is in. Unlike `annotateStackTrace()`, this function is
+ * synchronous.
+ *
+ * @param scope {string|Object} the diff scope, see `resolveDiffScope()`,
+ *                              eg, the revision `HEAD~1`.
+ * @param dir {string} the directory.
+ * @returns {Object|null} an object with two fields: `root`, the top level
+ *                        path of the repository, and `files`, the hunks
+ *                        returned by `parseDiff()`. Null if not under a
+ *                        repository, or the scope is invalid.
+ */
+function getChangedHunks(scope, dir) {
+	var root = getRepoRoot(dir);
+	var diff;
+
+	if (!root) {
+		return null;
+	}
+	try {
+		diff = _git(resolveDiffScope(scope, root).diff, root);
+	} catch (e) {
+		return null;
+	}
+	return {root: root, files: parseDiff(diff)};
+}
+
+/**
+ * This function runs `git blame` on lines of a file, and returns which
+ * commits last changed them in a diff scope. Lines not changed in the
+ * scope are attributed to the boundary commit, and uncommitted lines to
+ * the null SHA (all zeros). Without a scope, the whole history of the
+ * file in the working directory is blamed.
+ *
+ * @param fileName {string} the file, relative to the top level of the
+ *                          repository.
+ * @param ranges {Array} the line ranges, 2-element arrays of the first and
+ *                       last line numbers (starting from 1).
+ * @param scope {Object|null} the diff scope resolved by
+ *                            `resolveDiffScope()`.
+ * @param root {string} the top level path of the repository.
+ * @returns {Object|null} an object with two fields: `lines`, which maps
+ *                        line numbers to SHAs, and `commits`, which maps
+ *                        SHAs to the info on the commits from the porcelain
+ *                        format, eg, `summary`, `author`, `author-time`, and
+ *                        `boundary` (true for the boundary commit). Null if
+ *                        `git blame` fails.
+ */
+function blame(fileName, ranges, scope, root) {
+	var result = {lines: {}, commits: {}};
+	var args = ['--no-pager', 'blame', '--porcelain'];
+	var input, output, lines, match, sha, lineNum, commit;
+	var i, space;
+
+	if (ranges.length === 0) {
+		return result;
+	}
+	for (i = 0; i < ranges.length; i++) {
+		args.push('-L', ranges[i][0] + ',' + ranges[i][1]);
+	}
+
+	try {
+		if (scope && scope.index) {
+			// Blame the staged content.
+			input = _git(['show', ':' + fileName], root);
+			args.push('--contents', '-');
+		}
+		output = _git(args.concat(scope ? scope.blame : [], '--', fileName), root, input);
+	} catch (e) {
+		return null;
+	}
+
+	lines = output.split('\n');
+	for (i = 0; i < lines.length; i++) {
+		match = /^([0-9a-f]{40}) \d+ (\d+)/.exec(lines[i]);
+		if (match) {
+			sha = match[1];
+			lineNum = parseInt(match[2], 10);
+			commit = result.commits[sha] = result.commits[sha] || {sha: sha};
+		} else if (lines[i][0] === '\t') {
+			// The content of the line ends its entry.
+			result.lines[lineNum] = sha;
+		} else if (commit && lines[i]) {
+			space = lines[i].indexOf(' ');
+			if (space === -1) {
+				commit[lines[i]] = true;
+			} else {
+				commit[lines[i].substring(0, space)] = lines[i].substring(space + 1);
+			}
+		}
+	}
+	return result;
+}
+
+// Default options of `annotateStackTrace()`.
+var ANNOTATE_DEFAULTS = {
+	maxSites: 5,
+	libLC: 1,
+	cleanLC: 2,
+	dirtyLC: 4,
+	maxLC: 10,
+	tabWidth: 4,
+	diff: 'HEAD~1',
+	blame: false,
+	recentDays: 14,
+	format: 'ansi'
+};
+
+/**
+ * This function blames the code lines of an annotation (see
+ * `annotation.js`) in files under the Git repository, and adds the commits
+ * that last changed them to the lines, as their `blame` fields. Lines
+ * changed in the last `recentDays` days (including uncommitted ones) are
+ * marked as recent. Each file is blamed once, on the lines that are
+ * displayed.
+ *
+ * @param annotation {Object} the annotation.
+ * @param recentDays {int} see above.
+ * @private
+ */
+function _blameLines(annotation, recentDays) {
+	var byFile = {};
+	var now = Date.now() / 1000;
+	var fileNames, lineNums, ranges, blamed, sha, commit, time;
+	var i, j;
+
+	// Collect the displayed lines of each file.
+	annotation.frames.forEach(function(frame) {
+		if (!frame.relativeFileName) {
+			return;
+		}
+		frame.sections.forEach(function(section) {
+			section.lines.forEach(function(line) {
+				if (line.number) {
+					byFile[frame.relativeFileName] = byFile[frame.relativeFileName] || [];
+					byFile[frame.relativeFileName].push(line);
+				}
+			});
+		});
+	});
+
+	fileNames = Object.keys(byFile);
+	for (i = 0; i < fileNames.length; i++) {
+		// Blame them in ranges of consecutive lines.
+		lineNums = byFile[fileNames[i]].map(function(line) {
+			return line.number;
+		}).sort(function(a, b) {
+			return a - b;
+		});
+		ranges = [];
+		for (j = 0; j < lineNums.length; j++) {
+			if (ranges.length > 0 && lineNums[j] <= ranges[ranges.length - 1][1] + 1) {
+				ranges[ranges.length - 1][1] = Math.max(lineNums[j], ranges[ranges.length - 1][1]);
+			} else {
+				ranges.push([lineNums[j], lineNums[j]]);
+			}
+		}
+		blamed = blame(fileNames[i], ranges, null, annotation.root);
+		if (!blamed) {
+			// The file isn't tracked.
+			continue;
+		}
+
+		for (j = 0; j < byFile[fileNames[i]].length; j++) {
+			sha = blamed.lines[byFile[fileNames[i]][j].number];
+			if (!sha) {
+				continue;
+			}
+			commit = blamed.commits[sha];
+			time = parseInt(commit['author-time'], 10);
+			byFile[fileNames[i]][j].blame = {
+				sha: sha,
+				author: commit.author,
+				time: time,
+				summary: commit.summary,
+				recent: now - time < recentDays * 86400
+			};
+		}
+	}
+}
+
+/**
+ * This function returns a copy of an object with the fields of another
+ * object assigned to it, except undefined ones.
+ *
+ * @param defaults {Object}
+ * @param options {Object}
+ * @returns {Object}
+ * @private
+ */
+function _mergeOptions(defaults, options) {
+	var result = {};
+	var keys, i;
+
+	keys = Object.keys(defaults);
+	for (i = 0; i < keys.length; i++) {
+		result[keys[i]] = defaults[keys[i]];
+	}
+	keys = Object.keys(options);
+	for (i = 0; i < keys.length; i++) {
+		if (options[keys[i]] !== undefined) {
+			result[keys[i]] = options[keys[i]];
+		}
+	}
+	return result;
+}
+
 /**
  * Stack traces are not as useful to debugging as they can be. The biggest
  * problem is that they only provide line numbers, and the developers have
@@ -31,9 +536,28 @@ function trim(s) {
  *
  * The intended usage pattern is to first locate the offending commit using
  * git-bisect, and then use this function to help find the bug. Therefore,
- * this function assumes that the current HEAD is the offending commit, and
- * its parent (HEAD~1) is healthy. The printed diffs are between HEAD~1 and
- * the current working directory.
+ * by default this function assumes that the current HEAD is the offending
+ * commit, and its parent (HEAD~1) is healthy, and the printed diffs are
+ * between HEAD~1 and the current working directory. The `diff` option
+ * changes which changes are printed, eg, the staged changes, or a range of
+ * commits, see `resolveDiffScope()`. If the range covers several commits,
+ * added lines are colored by the commits that last changed them (see
+ * `blame()`), and a legend of the commits is printed first.
+ *
+ * With the `blame` option, each code line is prefixed with the short SHA,
+ * the author and the age of the commit that last changed it, and lines
+ * changed in the last `recentDays` days are highlighted, even if they aren't
+ * in the diff, see `_blameLines()`.
+ *
+ * Callsites in generated files with source maps (eg, compiled by TypeScript
+ * or Babel) are mapped back to the original sources, whose lines and hunks
+ * are displayed instead, see `sourcemap.js`.
+ *
+ * The annotation is first built as a structured object (see
+ * `annotation.js`), and then rendered in the format of the `format` option:
+ * 'ansi' (with colors, for terminals), 'plain' or 'html'. With 'json', the
+ * object itself is passed to the callback, and can be rendered later with
+ * `annotation.render()`.
  *
  * The arguments `libLC`, `cleanLC`, `dirtyLC` and `maxLC` specify how many
  * lines of code to display before and after the target line (the line that
@@ -54,21 +578,65 @@ function trim(s) {
  * For more info on V8's structured stack traces and the associated API,
  * see http://code.google.com/p/v8/wiki/JavaScriptStackTraceApi.
  *
+ * The options are either passed positionally, as in
+ * `annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC,
+ * tabWidth, callback)`, or as an object, as in `annotateStackTrace(error,
+ * options, callback)`, in which case omitted options take their defaults
+ * (see `ANNOTATE_DEFAULTS`).
+ *
  * @param error {Object} an `Error` object whose `stack` property hasn't
  *                       been accessed yet.
- * @param maxSites {int} maximum number of callsites to annotate. The remaining
- *                       ones will be displayed like in normal stack traces.
- * @param libLC {int} LC for library (non-user) files.
- * @param cleanLC {int} LC for target lines far away (more than `dirtyLC`
- *                      lines away) from all hunks.
- * @param dirtyLC {int} minimum LC for target lines close to a hunk.
- * @param maxLC {int} maximum LC for target lines close to a hunk.
- * @param tabWidth {int} if >0, tabs in code lines are replaced with these
- *                       many spaces before being printed; otherwise ignored.
- * @param callback {Function}
+ * @param options {Object} an object with these fields:
+ *                         1. maxSites {int}: maximum number of callsites to
+ *                            annotate. The remaining ones will be displayed
+ *                            like in normal stack traces.
+ *                         2. libLC {int}: LC for library (non-user) files.
+ *                         3. cleanLC {int}: LC for target lines far away
+ *                            (more than `dirtyLC` lines away) from all hunks.
+ *                         4. dirtyLC {int}: minimum LC for target lines close
+ *                            to a hunk.
+ *                         5. maxLC {int}: maximum LC for target lines close
+ *                            to a hunk.
+ *                         6. tabWidth {int}: if >0, tabs in code lines are
+ *                            replaced with these many spaces before being
+ *                            printed; otherwise ignored.
+ *                         7. diff {string|Object}: the diff scope, see
+ *                            `resolveDiffScope()`. Default is `HEAD~1`.
+ *                         8. blame {boolean}: whether to add blame gutters,
+ *                            see above.
+ *                         9. recentDays {int}: see above.
+ *                         10. format {string}: see above. Default is 'ansi'.
+ * @param callback {Function} called with an error, and the rendered
+ *                            annotation (or the object, see above).
  */
-function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tabWidth, callback) {
-	var stack, callsites;
+function annotateStackTrace(error, options, callback) {
+	var stack, callsites, scope;
+	var maxSites, libLC, cleanLC, dirtyLC, maxLC, tabWidth;
+
+	if (options instanceof Object) {
+		options = _mergeOptions(ANNOTATE_DEFAULTS, options);
+	} else {
+		// The positional form.
+		options = {
+			maxSites: arguments[1],
+			libLC: arguments[2],
+			cleanLC: arguments[3],
+			dirtyLC: arguments[4],
+			maxLC: arguments[5],
+			tabWidth: arguments[6],
+			diff: ANNOTATE_DEFAULTS.diff,
+			blame: ANNOTATE_DEFAULTS.blame,
+			recentDays: ANNOTATE_DEFAULTS.recentDays,
+			format: ANNOTATE_DEFAULTS.format
+		};
+		callback = arguments[7];
+	}
+	maxSites = options.maxSites;
+	libLC = options.libLC;
+	cleanLC = options.cleanLC;
+	dirtyLC = options.dirtyLC;
+	maxLC = options.maxLC;
+	tabWidth = options.tabWidth;
 
 	// Check the arguments.
 	if (dirtyLC > maxLC) {
@@ -79,6 +647,10 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 		callback(new Error("Illegal arguments: dirtyLC smaller than cleanLC"), null);
 		return;
 	}
+	if (options.format !== 'json' && annotations.FORMATS.indexOf(options.format) === -1) {
+		callback(new Error("Illegal arguments: unknown format " + options.format), null);
+		return;
+	}
 
 	var orig = Error.prepareStackTrace;
 	Error.prepareStackTrace = function(error, structuredStackTrace) {
@@ -110,72 +682,46 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 
 		var gitDir = trim(stdout);
 
-		// Do a git-diff between HEAD~1 and the working directory and parse
-		// the result.
-		child_process.exec('git --no-pager diff -U0 HEAD~1', function(err, stdout/*, stderr*/) {
+		try {
+			scope = resolveDiffScope(options.diff, gitDir);
+		} catch (e) {
+			callback(e, null);
+			return;
+		}
+
+		// Do a git-diff in the diff scope (by default, between HEAD~1 and
+		// the working directory) and parse the result.
+		child_process.execFile('git', scope.diff, {cwd: gitDir, maxBuffer: 256 * 1024 * 1024}, function(err, stdout/*, stderr*/) {
 			if (err) {
 				callback(err, null);
 				return;
 			}
 
 			// Now parse the diff output to get the changed lines
-			//noinspection UnnecessaryLocalVariableJS
-			var diff = stdout;
-			// Dictionary. Key: filename in the diff. Value: an array of
-			// 3-element arrays ([newStartLine, newEndLine, [hunk lines]]),
-			// each representing a hunk.
-			var diffCache = {};
+			var diffCache = parseDiff(stdout);
+			// Dictionary. Key: relative filename. Value: the result of
+			// `blame()` on the added lines in the file, or null. Only used
+			// if the diff covers several commits.
+			var blameCache = {};
+			// Dictionary. Key: SHA of a commit that added lines are colored
+			// by. Value: true. The commits are added to `annotation.commits`
+			// in the order they are first seen.
+			var commitSeen = {};
+			var blamed, sha, newLine, oldLine;
 			// Dictionary. Key: filename in callsites. Value: an array storing
 			// lines in the file. The diff doesn't necessarily contain all the
 			// code lines we need for the annotation, so we need this cache.
 			var fileCache = {};
-			var newFileName, newStartLine, newLineCount;
-			// Note that diff sections without the "b" part, in other words,
-			// the old file is deleted, are ignored.
-			var regExpFileHeading = /^--- .*\n^\+\+\+ b\/(.+)\n/gm;
-			var regExpHunkHeading = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@.*\n/gm;
-			var files, fileText, hunks, hunkText, lines;
+			var hunks, lines;
 			var i, j, k, n;
 
-			// First parse file sections in the diff
-			files = diff.split(regExpFileHeading);
-			for (i = 1; i < files.length; i += 2) {
-				newFileName = files[i];
-				fileText = files[i + 1];
-
-				diffCache[newFileName] = [];
-				// Then parse hunks in each file section
-				hunks = fileText.split(regExpHunkHeading);
-				for (j = 1; j < hunks.length; j += 3) {
-					newStartLine = parseInt(hunks[j]);
-					if (hunks[j + 1] !== undefined) {
-						newLineCount = parseInt(hunks[j + 1]);
-					} else {
-						newLineCount = 1;
-					}
-					hunkText = hunks[j + 2];
-
-					// Finally parse changed lines in each hunk
-					lines = hunkText.split('\n');
-					k = 0;
-					while (lines[k][0] === '+' || lines[k][0] === '-') {
-						k++;
-					}
-					// The first k lines are the hunk
-					lines.length = k;
-
-					diffCache[newFileName].push([newStartLine, newStartLine + newLineCount - 1, lines]);
-				}
-			}
-
 			// Second, for each file in a relevant callsite, we need to fetch
-			// the needed lines from that file.
-			var result = [];
-//			var consoleColumns = process.stdout.columns;
-//			var sep = new Array(consoleColumns + 1).join('=');
-			var site, trace;
+			// the needed lines from that file. The result is structured, see
+			// `annotation.js`, and rendered at last.
+			var annotation = {root: gitDir, blame: !!options.blame, commits: [], frames: []};
+			var site, frame, section, original;
 			var fileName, typeName, funcName, methodName, lineNum, colNum;
-			var callName, relativeFileName, displayFileName;
+			var callName, relativeFileName;
 			var lc;
 			var startHunk, endHunk;
 			var fileContent, startLine, endLine, lineCount;
@@ -184,15 +730,9 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 				tabRepl = new Array(tabWidth + 1).join(' ');
 			}
 
-			var colors = ['101;30', '102;30', '103;30', '104;30', '105;30', '106;30',
-							'41;97', '42;97', '43;97', '44;97', '45;97', '46;97'];
-			var colors2 = ['91','92','93','94','95','96', '31','32','33','34','35','36'];
-			var fileColor = {};
-			var currColor = 0;
-
 			for (i = 0; i < callsites.length; i++) {
 				site = callsites[i];
-				fileName = site.getFileName();
+				fileName = sourcemap.toFilePath(site.getFileName()) || '<anonymous>';
 				funcName = site.getFunctionName();
 				methodName = site.getMethodName();
 				if (methodName) {
@@ -203,6 +743,16 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 				lineNum = site.getLineNumber();
 				colNum = site.getColumnNumber();
 
+				// Map the callsite back to the source we wrote, if the file
+				// is generated with a source map. Hunks are then looked up by
+				// the original path.
+				original = sourcemap.getOriginalPosition(fileName, lineNum, colNum);
+				if (original) {
+					fileName = original.fileName;
+					lineNum = original.lineNumber;
+					colNum = original.columnNumber;
+				}
+
 				// Here we try to mimic Node's formatting of the stack traces
 				callName = funcName || methodName;
 				if (callName && typeName) {
@@ -211,38 +761,17 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 
 				// Calculate the relative path to the Git root.
 				relativeFileName = path.relative(gitDir, fileName);
-				if (relativeFileName[0] === '.') {
-					displayFileName = fileName;
-				} else {
-					// Display relative file name for files under Git root.
-					displayFileName = relativeFileName;
-				}
 
-				// Get color for this file.
-				if (fileColor[fileName] === undefined) {
-					fileColor[fileName] = currColor;
-					currColor++;
-					if (currColor >= colors.length) {
-						// Number of files exceeds the number of available colors,
-						// we have to reuse the used ones.
-						currColor = 0;
-					}
-				}
-
-				trace = util.format('\x1B[1m%s ->\x1B[21;%sm%s\x1B[49;90m in \x1B[%sm%s\x1B[0m (\x1B[1m%d:%d\x1B[0m)'
-									, i + 1
-									, colors[fileColor[fileName]]
-									, callName || 'anonymous'
-									, colors2[fileColor[fileName]]
-									, displayFileName
-									, lineNum
-									, colNum);
-
-				// Add seperator to the result for this entry.
-				result.push('');
-//				result.push(sep);
-				result.push(trace);
-				result.push('');
+				frame = {
+					callName: callName || 'anonymous',
+					fileName: fileName,
+					relativeFileName: fileName[0] === '/' && relativeFileName[0] !== '.' ? relativeFileName : null,
+					lineNumber: lineNum,
+					columnNumber: colNum,
+					kind: null,
+					sections: []
+				};
+				annotation.frames.push(frame);
 
 				if (i >= maxSites) {
 					continue;
@@ -253,7 +782,7 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 				if (fileName[0] === '/') {
 					// Make sure we have the content of this file.
 					if (fileCache[fileName] === undefined) {
-						fileCache[fileName] = fs.readFileSync(fileName).toString().split('\n');
+						fileCache[fileName] = sourcemap.readSource(fileName).split('\n');
 					}
 					fileContent = fileCache[fileName];
 
@@ -261,12 +790,19 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 						// The file is outside of the Git root, we take it as
 						// a library file.
 						lc = libLC;
+						frame.kind = 'library';
 
 					} else if (diffCache[relativeFileName]) {
-						// This file is changed against HEAD~1.
+						// This file is changed in the diff scope.
 						// First we need to find the set of diff hunks that are
 						// close to this line.
 						hunks = diffCache[relativeFileName];
+						if (scope.commits > 1 && blameCache[relativeFileName] === undefined) {
+							blameCache[relativeFileName] = blame(relativeFileName, hunks.filter(function(hunk) {
+								return hunk[1] >= hunk[0];
+							}), scope, gitDir);
+						}
+						blamed = scope.commits > 1 ? blameCache[relativeFileName] : null;
 						for (startHunk = 0; startHunk < hunks.length; startHunk++) {
 							if (hunks[startHunk][1] >= lineNum - dirtyLC) {
 								break;
@@ -301,7 +837,10 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 								// the target line.
 								//
 								// Each section is represented by a 3-element array:
-								// [[lines], startLine, lineCount].
+								// [[lines], startLine, lineCount], with two more
+								// elements for hunk sections: the line numbers in the
+								// file and in the old version of the file of the
+								// first line of the hunk.
 								var sections = [];
 								// Index of the section that contains the target line
 								// in `sections`.
@@ -368,13 +907,13 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 												}
 												n++;
 											}
-											sections.push([lines, 1, n]);
-											sections.push([lines, n + 1, 1]);
+											sections.push([lines, 1, n, hunks[j][0], hunks[j][3]]);
+											sections.push([lines, n + 1, 1, hunks[j][0], hunks[j][3]]);
 											targetIndex = sections.length - 1;
-											sections.push([lines, n + 2, lines.length - n - 1]);
+											sections.push([lines, n + 2, lines.length - n - 1, hunks[j][0], hunks[j][3]]);
 
 										} else {
-											sections.push([lines, 1, lines.length]);
+											sections.push([lines, 1, lines.length, hunks[j][0], hunks[j][3]]);
 										}
 									}
 								}
@@ -434,32 +973,64 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 									}
 								}
 
-								// Finally print the lines in `sections` between
+								// Finally collect the lines in `sections` between
 								// `startIndex` and `endIndex`
+								frame.kind = 'dirty';
 								for (j = startIndex; j <= endIndex; j++) {
+									if (sections[j][2] <= 0) {
+										continue;
+									}
 									var isFileSection = sections[j][0] === fileContent;
+									section = {type: isFileSection ? 'file' : 'hunk', lines: []};
+									frame.sections.push(section);
+									if (!isFileSection) {
+										// The line numbers in the file and in the old
+										// version of the first line of the section.
+										newLine = sections[j][3];
+										oldLine = sections[j][4];
+										for (k = 0; k < sections[j][1] - 1; k++) {
+											if (sections[j][0][k][0] === '-') {
+												oldLine++;
+											} else {
+												newLine++;
+											}
+										}
+									}
 									for (k = sections[j][1] - 1; k < sections[j][1] + sections[j][2] - 1; k++) {
 										line = sections[j][0][k];
 										if (tabWidth > 0) {
 											line = line.replace(/\t/g, tabRepl);
 										}
 										if (isFileSection) {
-											// This is required to make sure the line aligns
-											// well with lines from diff hunks.
-											line = ' ' + line;
+											section.lines.push({number: k + 1, text: line, status: 'context', target: j === targetIndex});
+										} else if (line[0] === '-') {
+											section.lines.push({
+												number: null,
+												oldNumber: oldLine++,
+												text: line.substring(1),
+												status: 'removed',
+												target: j === targetIndex
+											});
 										} else {
-											// Colorize diff lines.
-											if (line[0] === '+') {
-												line = '\x1B[32m' + line + '\x1B[0m';
-											} else if (line[0] === '-') {
-												line = '\x1B[31m' + line + '\x1B[0m';
+											// Find the commit the added line is colored by.
+											sha = blamed ? blamed.lines[newLine] : null;
+											if (sha && !commitSeen[sha]) {
+												commitSeen[sha] = true;
+												annotation.commits.push({
+													sha: sha,
+													summary: blamed.commits[sha].summary,
+													author: blamed.commits[sha].author,
+													time: parseInt(blamed.commits[sha]['author-time'], 10)
+												});
 											}
+											section.lines.push({
+												number: newLine++,
+												text: line.substring(1),
+												status: 'added',
+												target: j === targetIndex,
+												commit: sha || undefined
+											});
 										}
-										// Bold the target line
-										if (j === targetIndex) {
-											line = '\x1B[1m' + line + '\x1B[0m';
-										}
-										result.push(line);
 									}
 								}
 
@@ -468,10 +1039,12 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 							} else {
 								// There isn't a matching hunk
 								lc = cleanLC;
+								frame.kind = 'clean';
 							}
 						} else {
 							// There isn't a matching hunk
 							lc = cleanLC;
+							frame.kind = 'clean';
 						}
 
 
@@ -479,10 +1052,12 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 						// This file is under a "node_modules" directory and
 						// isn't changed, we take it as a library file.
 						lc = libLC;
+						frame.kind = 'library';
 
 					} else {
 						// A normal unchanged source file.
 						lc = cleanLC;
+						frame.kind = 'clean';
 					}
 
 					startLine = lineNum - lc;
@@ -493,25 +1068,39 @@ function annotateStackTrace(error, maxSites, libLC, cleanLC, dirtyLC, maxLC, tab
 					if (endLine > fileContent.length) {
 						endLine = fileContent.length;
 					}
+					section = {type: 'file', lines: []};
+					frame.sections.push(section);
 					for (j = startLine; j <= endLine; j++) {
 						line = fileContent[j - 1];
 						if (tabWidth > 0) {
 							line = line.replace(/\t/g, tabRepl);
 						}
-						// Bold the target line
-						if (j === lineNum) {
-							line = '\x1B[1m' + line + '\x1B[0m';
-						}
-						result.push(line);
+						section.lines.push({number: j, text: line, status: 'context', target: j === lineNum});
 					}
 				}
 			}
 
-			callback(null, result.join('\n'));
+			if (options.blame) {
+				_blameLines(annotation, options.recentDays);
+			}
+
+			if (options.format === 'json') {
+				callback(null, annotation);
+			} else {
+				callback(null, annotations.render(annotation, options.format));
+			}
 		});
 	})
 }
 
 module.exports = {
+	getRepoRoot: getRepoRoot,
+	getHeadInfo: getHeadInfo,
+	resolveCommit: resolveCommit,
+	parseDiff: parseDiff,
+	mapLine: mapLine,
+	resolveDiffScope: resolveDiffScope,
+	getChangedHunks: getChangedHunks,
+	blame: blame,
 	annotateStackTrace: annotateStackTrace
 };
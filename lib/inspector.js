@@ -0,0 +1,349 @@
+/**
+ * This module reads local variables of the running program through an
+ * in-process session of the V8 inspector, which is the only programmatical
+ * access to them in JavaScript.
+ *
+ * The current thread is paused with a `debugger` statement while the
+ * inspector is enabled. The session is in the same thread, so it handles
+ * the pause synchronously, reads the scopes of the paused frames, and
+ * resumes before the statement returns. The thread is also paused on
+ * uncaught exceptions and at breakpoints, see `watchExceptions()` and
+ * `watchLocation()`. The inspector is only enabled while one of these is
+ * in use, and other pauses, eg, `debugger` statements elsewhere in the
+ * program, are resumed right away. Note that an external debugger attached
+ * to the process (eg, with `--inspect`) is paused too.
+ */
+
+var path = require('path');
+var sourcemap = require('./sourcemap');
+
+// The in-process session, created when first used. False if the inspector
+// isn't available, eg, in a Node.js build without it.
+var session = null;
+
+// Maps ids of scripts to their URLs, which paused frames don't always have.
+// Scripts are reported whenever the inspector is enabled.
+var scriptUrls = {};
+
+// How many users need the inspector enabled, see `_enable()`.
+var enabled = 0;
+
+// Handlers of pauses: `pause`, the callback of `_pause()`, `exception`,
+// the callback of `watchExceptions()`, and `breakpoints`, which maps ids
+// of breakpoints to callbacks of `watchLocation()`.
+var handlers = {pause: null, exception: null, breakpoints: {}};
+
+// Types of scopes whose variables are read. The global scope is left out.
+var SCOPE_TYPES = ['local', 'block', 'catch', 'closure', 'with', 'script', 'module', 'eval'];
+
+// The directory of this module, frames in which are left out.
+var LIB_DIR = __dirname + path.sep;
+
+/**
+ * This function returns the connected session, or false if the inspector
+ * isn't available.
+ *
+ * @returns {Object|boolean}
+ * @private
+ */
+function _getSession() {
+	if (session === null) {
+		try {
+			session = new (require('inspector').Session)();
+			session.connect();
+			session.on('Debugger.scriptParsed', function(message) {
+				scriptUrls[message.params.scriptId] = message.params.url;
+			});
+			session.on('Debugger.paused', _onPaused);
+		} catch (e) {
+			session = false;
+		}
+	}
+	return session;
+}
+
+/**
+ * This function posts a message to the session, and returns the result.
+ * Messages to an in-process session are handled synchronously.
+ *
+ * @param method {string} the method, eg, `Debugger.enable`.
+ * @param params {Object} [optional]
+ * @returns {Object} the result.
+ * @private
+ */
+function _post(method, params) {
+	var error = null;
+	var result;
+
+	session.post(method, params || {}, function(err, res) {
+		error = err;
+		result = res;
+	});
+	if (error) {
+		throw error;
+	}
+	return result;
+}
+
+/**
+ * This function enables the inspector, unless it's enabled already.
+ *
+ * @private
+ */
+function _enable() {
+	if (enabled === 0) {
+		_post('Debugger.enable');
+	}
+	enabled++;
+}
+
+/**
+ * This function disables the inspector, unless it's still in use.
+ *
+ * @private
+ */
+function _disable() {
+	enabled--;
+	if (enabled === 0) {
+		_post('Debugger.disable');
+	}
+}
+
+/**
+ * This function handles a pause, and resumes. An error thrown by the
+ * handler is kept in `handlers.error` for `_pause()`, or printed.
+ *
+ * @param message {Object} the `Debugger.paused` message.
+ * @private
+ */
+function _onPaused(message) {
+	var params = message.params;
+	var ids = params.hitBreakpoints || [];
+	var i;
+
+	try {
+		if (handlers.pause) {
+			handlers.pause(params.callFrames);
+		} else if (params.reason === 'exception' && handlers.exception) {
+			handlers.exception(params.callFrames, params.data);
+		} else {
+			for (i = 0; i < ids.length; i++) {
+				if (handlers.breakpoints[ids[i]] && handlers.breakpoints[ids[i]](params.callFrames)) {
+					_post('Debugger.removeBreakpoint', {breakpointId: ids[i]});
+					delete handlers.breakpoints[ids[i]];
+					_disable();
+				}
+			}
+		}
+	} catch (e) {
+		if (handlers.pause) {
+			handlers.error = e;
+		} else {
+			console.warn('diffbug: failed to read the paused frames: %s', e.message);
+		}
+	}
+	_post('Debugger.resume');
+}
+
+/**
+ * This function returns the file name of the script of a frame.
+ *
+ * @param frame {Object} a `Debugger.CallFrame`.
+ * @returns {string}
+ * @private
+ */
+function _getFileName(frame) {
+	return sourcemap.toFilePath(frame.url || scriptUrls[frame.location.scriptId] || '');
+}
+
+/**
+ * This function checks whether a frame is in the user's code, ie, neither
+ * in this library nor in Node.js itself.
+ *
+ * @param frame {Object} a `Debugger.CallFrame`.
+ * @returns {boolean}
+ */
+function isUserFrame(frame) {
+	var fileName = _getFileName(frame);
+	return !!fileName && fileName.indexOf(LIB_DIR) !== 0 && !/^node:/.test(fileName) &&
+		   path.isAbsolute(fileName);
+}
+
+/**
+ * This function returns the location of a paused frame.
+ *
+ * @param frame {Object} a `Debugger.CallFrame`.
+ * @returns {Object} an object with four fields: `functionName`, `fileName`,
+ *                   `lineNumber` and `columnNumber` (starting from 1).
+ */
+function getSite(frame) {
+	return {
+		functionName: frame.functionName || 'anonymous',
+		fileName: _getFileName(frame),
+		lineNumber: frame.location.lineNumber + 1,
+		columnNumber: frame.location.columnNumber + 1
+	};
+}
+
+/**
+ * This function reads the variables in the scope chain of a paused frame.
+ * A variable shadowed by another of the same name in an inner scope is
+ * left out, like it's inaccessible in the frame.
+ *
+ * @param frame {Object} a `Debugger.CallFrame`.
+ * @returns {Object} an object with three fields: `names` and `values`, the
+ *                   names and values of the variables, from the innermost
+ *                   scope outwards, and `site`, see `getSite()`.
+ */
+function readFrame(frame) {
+	var names = [];
+	var values = [];
+	var i, keys, j, vars;
+
+	for (i = 0; i < frame.scopeChain.length; i++) {
+		if (SCOPE_TYPES.indexOf(frame.scopeChain[i].type) === -1) {
+			continue;
+		}
+
+		// Scope objects are mirrors of the scopes, so this copies the real
+		// values (not descriptions of them) out of the session.
+		global.__diffbug_scope__ = null;
+		_post('Runtime.callFunctionOn', {
+			objectId: frame.scopeChain[i].object.objectId,
+			functionDeclaration: 'function() { global.__diffbug_scope__ = this; }'
+		});
+		vars = global.__diffbug_scope__;
+		delete global.__diffbug_scope__;
+
+		keys = vars ? Object.keys(vars) : [];
+		for (j = 0; j < keys.length; j++) {
+			if (names.indexOf(keys[j]) === -1) {
+				names.push(keys[j]);
+				values.push(vars[keys[j]]);
+			}
+		}
+	}
+
+	return {names: names, values: values, site: getSite(frame)};
+}
+
+/**
+ * This function pauses the current thread, and calls a function with the
+ * paused frames, see above.
+ *
+ * @param callback {Function} called with the array of `Debugger.CallFrame`
+ *                            objects, starting from the innermost one.
+ * @returns {boolean} false if the inspector isn't available.
+ * @private
+ */
+function _pause(callback) {
+	var error;
+
+	if (!_getSession()) {
+		return false;
+	}
+
+	handlers.pause = callback;
+	handlers.error = null;
+	try {
+		_enable();
+		debugger;
+	} finally {
+		handlers.pause = null;
+		_disable();
+	}
+
+	// Errors are thrown after resuming, rather than from the listener.
+	error = handlers.error;
+	handlers.error = null;
+	if (error) {
+		throw error;
+	}
+	return true;
+}
+
+/**
+ * This function reads the variables in the scope chain of the innermost
+ * frame of the user's code on the current stack, eg, the function that
+ * calls a probe's method.
+ *
+ * @returns {Object|null} see `readFrame()`. Null if the inspector isn't
+ *                        available, or there isn't such a frame.
+ */
+function captureScope() {
+	var result = null;
+
+	_pause(function(frames) {
+		for (var i = 0; i < frames.length; i++) {
+			if (isUserFrame(frames[i])) {
+				result = readFrame(frames[i]);
+				return;
+			}
+		}
+	});
+	return result;
+}
+
+/**
+ * This function calls a function whenever an uncaught exception is thrown,
+ * right before it unwinds the stack, so the frames that throw it can be
+ * read.
+ *
+ * @param callback {Function} called with two arguments: the array of
+ *                            `Debugger.CallFrame` objects, starting from
+ *                            the innermost one, and the message of the
+ *                            exception.
+ * @returns {boolean} false if the inspector isn't available.
+ */
+function watchExceptions(callback) {
+	if (!_getSession()) {
+		return false;
+	}
+
+	if (!handlers.exception) {
+		_enable();
+		_post('Debugger.setPauseOnExceptions', {state: 'uncaught'});
+	}
+	handlers.exception = function(frames, data) {
+		var text = data ? String(data.description || data.value) : 'unknown exception';
+		callback(frames, text.split('\n')[0]);
+	};
+	return true;
+}
+
+/**
+ * This function calls a function whenever execution reaches a line, until
+ * it returns true.
+ *
+ * @param fileName {string} the file name, or its path relative to the top
+ *                          level of the repository.
+ * @param lineNumber {int} the line number (starting from 1).
+ * @param callback {Function} called with the array of `Debugger.CallFrame`
+ *                            objects, starting from the innermost one.
+ * @returns {boolean} false if the inspector isn't available.
+ */
+function watchLocation(fileName, lineNumber, callback) {
+	var result;
+
+	if (!_getSession()) {
+		return false;
+	}
+
+	_enable();
+	result = _post('Debugger.setBreakpointByUrl', {
+		// Match the end of the path, whether it's a URL or not.
+		urlRegex: '(^|/)' + fileName.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&') + '$',
+		lineNumber: lineNumber - 1
+	});
+	handlers.breakpoints[result.breakpointId] = callback;
+	return true;
+}
+
+module.exports = {
+	isUserFrame: isUserFrame,
+	getSite: getSite,
+	readFrame: readFrame,
+	captureScope: captureScope,
+	watchExceptions: watchExceptions,
+	watchLocation: watchLocation
+};
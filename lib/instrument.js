@@ -0,0 +1,304 @@
+/**
+ * This module instruments JavaScript source code, ie, inserts code at given
+ * lines, before it's loaded. It's used to inject probes into modules without
+ * editing their files, see `register.js`.
+ *
+ * Code is inserted without line breaks, so line numbers of the instrumented
+ * source (eg, in stack traces) are the same as those of the file.
+ */
+
+var ast = require('./ast');
+
+// Keys of a parent node that hold statements in a statement position, ie,
+// where another statement can be inserted before them.
+var STATEMENT_KEYS = ['body', 'consequent', 'alternate'];
+
+/**
+ * This function parses source code into an AST with line numbers, see
+ * `ast.parse()`.
+ *
+ * @param source {string} the source code.
+ * @param fileName {string} [optional] the file name of the source.
+ * @returns {Object} the AST.
+ */
+function parse(source, fileName) {
+	return ast.parse(source, {locations: true, fileName: fileName});
+}
+
+/**
+ * This function checks whether a JavaScript expression is syntactically
+ * valid, and throws an error if it's not.
+ *
+ * @param expr {string} the expression.
+ */
+function checkExpression(expr) {
+	ast.parse('(' + expr + '\n)');
+}
+
+/**
+ * This function finds the outermost statement that starts on a line and
+ * is in a statement position, ie, code can be inserted before it. The
+ * statement of a label isn't, so the labeled statement is found instead.
+ *
+ * @param root {Object} the AST, see `parse()`.
+ * @param line {int} the line number (starting from 1).
+ * @returns {Object|null} an object with two fields: `node`, the statement,
+ *                        and `inList`, whether it's in a list of statements
+ *                        (otherwise, it's the only statement of its parent,
+ *                        eg, an `if` branch without braces).
+ */
+function findStatement(root, line) {
+	var result = null;
+
+	ast.walk(root, function(node, parent) {
+		var i, key, stmt;
+
+		if (result || node.loc.end.line < line || node.loc.start.line > line) {
+			// Done, or the subtree doesn't contain the line.
+			return false;
+		}
+
+		// A labeled statement is found by the line of its labels or the
+		// statement after them, and code is inserted before its labels, so
+		// that `continue` still refers to a loop.
+		for (stmt = node; stmt.type === 'LabeledStatement'; stmt = stmt.body) {
+			// Skip the labels.
+		}
+
+		if ((node.loc.start.line === line || stmt.loc.start.line === line) && parent &&
+				!ast.isFunction(parent) && parent.type !== 'LabeledStatement' &&
+				(/Statement$/.test(node.type) || /Declaration$/.test(node.type))) {
+			for (i = 0; i < STATEMENT_KEYS.length; i++) {
+				key = STATEMENT_KEYS[i];
+				if (parent[key] === node) {
+					result = {node: node, inList: false};
+				} else if (parent[key] instanceof Array && parent[key].indexOf(node) !== -1) {
+					result = {node: node, inList: true};
+				}
+			}
+			if (result) {
+				return false;
+			}
+		}
+		return true;
+	});
+
+	return result;
+}
+
+/**
+ * This function inserts code before the statements on given lines. A
+ * statement that isn't in a list of statements is wrapped in braces along
+ * with the code inserted before it, so that the meaning of its parent
+ * doesn't change.
+ *
+ * @param source {string} the source code.
+ * @param points {Array} objects with two fields: `line`, the line number,
+ *                       and `code`, the code to insert (without line breaks).
+ * @returns {Object} an object with two fields: `source`, the instrumented
+ *                   source code, and `missing`, the points of lines on which
+ *                   no statement starts.
+ */
+function insertAtLines(source, points) {
+	var root = parse(source);
+	var edits = [];
+	var missing = [];
+	var i, found;
+
+	for (i = 0; i < points.length; i++) {
+		found = findStatement(root, points[i].line);
+		if (!found) {
+			missing.push(points[i]);
+		} else if (found.inList) {
+			edits.push({offset: found.node.start, text: points[i].code});
+		} else {
+			edits.push({offset: found.node.start, text: '{' + points[i].code});
+			edits.push({offset: found.node.end, text: '}'});
+		}
+	}
+
+	return {source: applyEdits(source, edits), missing: missing};
+}
+
+/**
+ * This function finds the functions that contain changed lines. For each
+ * changed line, only the innermost function that contains it is included.
+ *
+ * @param root {Object} the AST, see `parse()`.
+ * @param hunks {Array} the hunks of changed lines, see `git.parseDiff()`.
+ * @returns {Array} objects with two fields: `node`, the function node, and
+ *                  `name`, its name qualified by the names of the functions
+ *                  that contain it, eg, `Cart>addItem`. The functions are
+ *                  in the order they appear in the source.
+ */
+function findChangedFunctions(root, hunks) {
+	var funcs = [];
+	var changed = [];
+	var stack = [];
+	var i, j, k, start, end, found;
+
+	// Collect all functions with their qualified names.
+	ast.walk(root, function(node, parent) {
+		while (stack.length > 0 && stack[stack.length - 1].end <= node.start) {
+			stack.pop();
+		}
+		if (ast.isFunction(node)) {
+			stack.push({end: node.end, name: ast.getFunctionName(node, parent)});
+			funcs.push({
+				node: node,
+				name: stack.map(function(item) {
+					return item.name;
+				}).join('>')
+			});
+		}
+		return true;
+	});
+
+	for (i = 0; i < hunks.length; i++) {
+		// A hunk that only deletes lines changes the line before it.
+		start = hunks[i][0];
+		end = Math.max(hunks[i][1], start);
+		for (j = start; j <= end; j++) {
+			// Functions are in pre-order, so the last one that contains
+			// the line is the innermost.
+			found = null;
+			for (k = 0; k < funcs.length; k++) {
+				if (funcs[k].node.loc.start.line <= j && funcs[k].node.loc.end.line >= j) {
+					found = funcs[k];
+				}
+			}
+			if (found && changed.indexOf(found) === -1) {
+				changed.push(found);
+			}
+		}
+	}
+
+	return changed.sort(function(a, b) {
+		return a.node.start - b.node.start;
+	});
+}
+
+/**
+ * This function generates the edits that wrap a function so that every
+ * call of it is watched. The code inserted looks like this:
+ *
+ *     function f(a, b) {
+ *         var __diffbug_done__ = <enter>;
+ *         try {
+ *             ... return __diffbug_done__('return', x); ...
+ *         } catch (__diffbug_e__) {
+ *             __diffbug_done__('throw', __diffbug_e__); throw __diffbug_e__;
+ *         } finally {
+ *             __diffbug_done__('return', undefined);
+ *         }
+ *     }
+ *
+ * where `<enter>` is an expression that returns the function returned by
+ * `Probe.prototype.watchCall()`. The code is inserted without line breaks,
+ * and directives (eg, 'use strict') are kept at the start of the body.
+ *
+ * The expression body of an arrow function is wrapped in an arrow function
+ * with the block above, called in place, ie,
+ *
+ *     x => ((__diffbug_done__) => { try { return __diffbug_done__('return',
+ *     (x + 1)); } catch ... finally ... })(<enter>)
+ *
+ * which keeps its meaning even if the body is in parentheses (acorn doesn't
+ * include them in the node), eg, `() => ({a: 1})`. It's async and awaited
+ * if the arrow function is async, so that `await` can be used in the body.
+ *
+ * @param node {Object} the function node.
+ * @param enter {string} see above.
+ * @returns {Array} the edits, see `applyEdits()`.
+ */
+function wrapFunction(node, enter) {
+	var body = node.body;
+	var edits = [];
+	var start = body.start + 1;
+	var i, stmt;
+
+	if (body.type !== 'BlockStatement') {
+		return [{
+			offset: body.start,
+			text: (node.async ? '(await (async ' : '((') + '(__diffbug_done__) => { try { return __diffbug_done__(\'return\', ('
+		}, {
+			offset: body.end,
+			text: ')); } catch (__diffbug_e__) { __diffbug_done__(\'throw\', __diffbug_e__); throw __diffbug_e__; }'
+				+ ' finally { __diffbug_done__(\'return\', undefined); } })(' + enter + '))'
+		}];
+	}
+
+	// Skip directives, which must stay at the start of the body.
+	for (i = 0; i < body.body.length; i++) {
+		stmt = body.body[i];
+		if (stmt.type !== 'ExpressionStatement' || stmt.expression.type !== 'Literal' ||
+				typeof stmt.expression.value !== 'string') {
+			break;
+		}
+		start = stmt.end;
+	}
+
+	edits.push({offset: start, text: ' var __diffbug_done__ = ' + enter + '; try {'});
+
+	// Wrap the values of return statements of this function, but not those
+	// of nested functions.
+	ast.walk(body, function(child) {
+		if (ast.isFunction(child)) {
+			return false;
+		}
+		if (child.type === 'ReturnStatement') {
+			if (child.argument) {
+				edits.push({offset: child.argument.start, text: '__diffbug_done__(\'return\', '});
+				edits.push({offset: child.argument.end, text: ')'});
+			} else {
+				edits.push({offset: child.start + 'return'.length, text: ' __diffbug_done__(\'return\', undefined)'});
+			}
+		}
+		return true;
+	});
+
+	edits.push({
+		offset: body.end - 1,
+		text: ' } catch (__diffbug_e__) { __diffbug_done__(\'throw\', __diffbug_e__); throw __diffbug_e__; }'
+			+ ' finally { __diffbug_done__(\'return\', undefined); } '
+	});
+
+	return edits;
+}
+
+/**
+ * This function inserts texts into source code at given offsets. Texts at
+ * the same offset are inserted in the order they are given.
+ *
+ * @param source {string} the source code.
+ * @param edits {Array} objects with two fields: `offset` and `text`.
+ * @returns {string} the edited source code.
+ */
+function applyEdits(source, edits) {
+	var result = '';
+	var last = 0;
+	var i;
+
+	// Sort by offsets, keeping the order of edits at the same offset.
+	edits = edits.map(function(edit, index) {
+		return {offset: edit.offset, text: edit.text, index: index};
+	}).sort(function(a, b) {
+		return a.offset - b.offset || a.index - b.index;
+	});
+
+	for (i = 0; i < edits.length; i++) {
+		result += source.substring(last, edits[i].offset) + edits[i].text;
+		last = edits[i].offset;
+	}
+	return result + source.substring(last);
+}
+
+module.exports = {
+	parse: parse,
+	checkExpression: checkExpression,
+	findStatement: findStatement,
+	insertAtLines: insertAtLines,
+	findChangedFunctions: findChangedFunctions,
+	wrapFunction: wrapFunction,
+	applyEdits: applyEdits
+};
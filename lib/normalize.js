@@ -0,0 +1,334 @@
+/**
+ * This module implements normalization rules, which hide nondeterministic
+ * noise (timestamps, generated ids, random tokens, memory addresses, the
+ * order of unordered collections, float rounding errors) from the diffs of
+ * watched values between runs. They're set with the `normalize` option of
+ * probes, see `Probe.setOptions()`.
+ *
+ * The rules are an object with the following fields, all optional:
+ * 1. ignore: a path pattern, or an array of them. Values at matching paths
+ *    are left out of diffs.
+ * 2. mask: path patterns. Values at matching paths are compared as equal,
+ *    whatever they are, but not if they are added or removed.
+ * 3. replace: an array of regular expression replacements on the display
+ *    text of values (strings, numbers, dates, etc.), each of which is
+ *    either an object with these fields: `pattern` (a RegExp, or a string
+ *    with `flags`, 'g' by default), `with`, the replacement, and `path`,
+ *    [optional] path patterns to limit it to; or the name of a preset (see
+ *    `PRESETS`): 'uuid', 'isoDate' or 'address'.
+ * 4. unordered: path patterns of arrays (or sets) whose order doesn't
+ *    matter, ie, they're compared as sets.
+ * 5. tolerance: the largest difference between numbers that are taken as
+ *    equal, or an object that maps path patterns to such differences.
+ *
+ * Paths start with watch names, in the format of the paths in diffs, eg,
+ * `users[0].name`. In patterns, `*` matches a property name, `[*]` an
+ * index or a map key, and `**` any number of them, eg, `users[*].createdAt`
+ * or `**.requestId`.
+ */
+
+var structdiff = require('./structdiff');
+
+// Preset replacements.
+var PRESETS = {
+	uuid: {
+		pattern: '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}',
+		flags: 'gi',
+		with: '<uuid>'
+	},
+	isoDate: {
+		pattern: '\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?',
+		flags: 'g',
+		with: '<date>'
+	},
+	address: {
+		pattern: '0x[0-9a-f]{6,}',
+		flags: 'gi',
+		with: '<address>'
+	}
+};
+
+// The display text of masked values.
+var MASKED = '<masked>';
+
+// Convert a field that's either a value or an array of them to an array.
+function _toArray(value) {
+	if (value === undefined || value === null) {
+		return [];
+	}
+	return value instanceof Array ? value : [value];
+}
+
+/**
+ * This function converts a path pattern to a regular expression, see
+ * above.
+ *
+ * @param pattern {string}
+ * @returns {RegExp}
+ * @private
+ */
+function _compilePattern(pattern) {
+	if (typeof pattern !== 'string' || !pattern) {
+		throw new Error('Illegal arguments: path patterns of normalization rules must be strings');
+	}
+	function escape(text) {
+		return text.replace(/[\\^$.*+?()[\]{}|\/]/g, '\\$&');
+	}
+	return new RegExp('^' + pattern.split('**').map(function(part) {
+		return part.split('[*]').map(function(part) {
+			return part.split('*').map(escape).join('[^.\\[]*');
+		}).join('\\[[^\\]]*\\]');
+	}).join('.*') + '$');
+}
+
+// Check whether a path matches any of the compiled patterns.
+function _matches(patterns, path) {
+	for (var i = 0; i < patterns.length; i++) {
+		if (patterns[i].test(path)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * This function validates normalization rules and compiles them.
+ *
+ * @param rules {Object} the rules, see above.
+ * @returns {Object} the compiled rules, with the fields above, except that
+ *                   path patterns are RegExp objects, replacements are
+ *                   objects with three fields, `regExp`, `with` and `path`,
+ *                   and `tolerance` is an array of objects with two fields,
+ *                   `path` (null for all paths) and `value`. The original
+ *                   rules are in the `rules` field, in a form that survives
+ *                   the JSON round trip (so they can be saved with runs).
+ */
+function compile(rules) {
+	var result = {rules: {}, ignore: [], mask: [], replace: [], unordered: [], tolerance: []};
+
+	if (!(rules instanceof Object)) {
+		throw new Error('Illegal arguments: normalization rules must be an object');
+	}
+
+	['ignore', 'mask', 'unordered'].forEach(function(field) {
+		result.rules[field] = _toArray(rules[field]);
+		result[field] = result.rules[field].map(_compilePattern);
+	});
+
+	result.rules.replace = _toArray(rules.replace).map(function(item) {
+		var preset = PRESETS[item];
+		if (typeof item === 'string' && !preset) {
+			throw new Error('Illegal arguments: unknown replacement preset ' + item);
+		}
+		item = preset || item;
+		if (!(item instanceof Object) || !(item.pattern instanceof RegExp || typeof item.pattern === 'string')) {
+			throw new Error('Illegal arguments: replacements must have a pattern');
+		}
+		return {
+			pattern: item.pattern instanceof RegExp ? item.pattern.source : item.pattern,
+			flags: item.pattern instanceof RegExp ? item.pattern.flags : (item.flags === undefined ? 'g' : item.flags),
+			with: item.with === undefined ? '' : String(item.with),
+			path: _toArray(item.path)
+		};
+	});
+	result.replace = result.rules.replace.map(function(item) {
+		return {
+			regExp: new RegExp(item.pattern, item.flags),
+			with: item.with,
+			path: item.path.map(_compilePattern)
+		};
+	});
+
+	if (typeof rules.tolerance === 'number') {
+		result.rules.tolerance = rules.tolerance;
+		result.tolerance.push({path: null, value: rules.tolerance});
+	} else if (rules.tolerance instanceof Object) {
+		result.rules.tolerance = {};
+		Object.keys(rules.tolerance).forEach(function(pattern) {
+			if (typeof rules.tolerance[pattern] !== 'number') {
+				throw new Error('Illegal arguments: tolerance of ' + pattern + ' must be a number');
+			}
+			result.rules.tolerance[pattern] = rules.tolerance[pattern];
+			result.tolerance.push({path: _compilePattern(pattern), value: rules.tolerance[pattern]});
+		});
+	}
+
+	return result;
+}
+
+/**
+ * This function combines two sets of compiled rules, eg, the global ones
+ * and those of a probe. The tolerances of the latter take precedence.
+ *
+ * @param a {Object|null} compiled rules, see `compile()`.
+ * @param b {Object|null} compiled rules.
+ * @returns {Object|null}
+ */
+function merge(a, b) {
+	var tolerance;
+
+	if (!a || !b) {
+		return a || b || null;
+	}
+
+	tolerance = {};
+	[a.rules.tolerance, b.rules.tolerance].forEach(function(item) {
+		if (typeof item === 'number') {
+			tolerance['**'] = item;
+		} else if (item) {
+			Object.keys(item).forEach(function(pattern) {
+				tolerance[pattern] = item[pattern];
+			});
+		}
+	});
+
+	return compile({
+		ignore: a.rules.ignore.concat(b.rules.ignore),
+		mask: a.rules.mask.concat(b.rules.mask),
+		replace: a.rules.replace.concat(b.rules.replace),
+		unordered: a.rules.unordered.concat(b.rules.unordered),
+		tolerance: Object.keys(tolerance).length > 0 ? tolerance : undefined
+	});
+}
+
+// Append a path in a watched value to the watch name, see above.
+function _fullPath(name, path) {
+	return path === '' || path[0] === '[' ? name + path : name + '.' + path;
+}
+
+/**
+ * This function applies the rules (except tolerances, see
+ * `withinTolerance()`) to a diffable tree (see `snapshot.diffable()`).
+ *
+ * @param tree {*} the diffable tree of a watched value. It isn't modified.
+ * @param rules {Object} the compiled rules, see `compile()`.
+ * @param name {string} the watch name.
+ * @param applied {Object} [optional] the kinds of rules that changed the
+ *                         tree (eg, 'ignore') are set to true in it.
+ * @returns {*} the normalized tree, or undefined if the whole value is
+ *              ignored.
+ */
+function apply(tree, rules, name, applied) {
+	applied = applied || {};
+
+	// Copy a container with the properties `diffable()` adds.
+	function copy(node, target) {
+		Object.defineProperties(target, {
+			$snapshot: {value: node.$snapshot},
+			$id: {value: node.$id}
+		});
+		return target;
+	}
+
+	function visit(node, path) {
+		var fullPath = _fullPath(name, path);
+		var result, items, keys, text;
+
+		if (_matches(rules.ignore, fullPath)) {
+			applied.ignore = true;
+			return undefined;
+		}
+		if (_matches(rules.mask, fullPath)) {
+			applied.mask = true;
+			return MASKED;
+		}
+
+		if (!(node instanceof Object)) {
+			text = node;
+			rules.replace.forEach(function(item) {
+				if (item.path.length === 0 || _matches(item.path, fullPath)) {
+					text = text.replace(item.regExp, item.with);
+				}
+			});
+			if (text !== node) {
+				applied.replace = true;
+			}
+			return text;
+		}
+
+		if (Array.isArray(node)) {
+			result = copy(node, []);
+			node.forEach(function(item, index) {
+				item = visit(item, path + '[' + index + ']');
+				if (item !== undefined) {
+					result.push(item);
+				}
+			});
+			items = result;
+		} else {
+			result = copy(node, {});
+			Object.keys(node).forEach(function(key) {
+				var value = visit(node[key], /^\d+$/.test(key) ? path + '[' + key + ']'
+										 : key[0] === '[' ? path + key : (path ? path + '.' + key : key));
+				if (value !== undefined) {
+					result[key] = value;
+				}
+			});
+			// The elements of sets, which are keyed by their indexes.
+			keys = Object.keys(result).filter(function(key) {
+				return /^\d+$/.test(key);
+			});
+			items = keys.map(function(key) {
+				return result[key];
+			});
+		}
+
+		if (_matches(rules.unordered, fullPath)) {
+			items = items.slice().sort(function(a, b) {
+				a = structdiff.canonical(a);
+				b = structdiff.canonical(b);
+				return a < b ? -1 : (a > b ? 1 : 0);
+			});
+			items.forEach(function(item, index) {
+				var key = keys ? keys[index] : index;
+				if (result[key] !== item) {
+					applied.unordered = true;
+					result[key] = item;
+				}
+			});
+		}
+		return result;
+	}
+
+	return visit(tree, '');
+}
+
+/**
+ * This function checks whether a change of a number is within the
+ * tolerance of its path.
+ *
+ * @param rules {Object} the compiled rules, see `compile()`.
+ * @param name {string} the watch name.
+ * @param path {string} the path of the change in the watched value.
+ * @param removed {*} the old value, a node of a diffable tree.
+ * @param added {*} the new value.
+ * @returns {boolean}
+ */
+function withinTolerance(rules, name, path, removed, added) {
+	var fullPath = _fullPath(name, path);
+	var tolerance = null;
+	var a = Number(removed);
+	var b = Number(added);
+
+	if (typeof removed !== 'string' || typeof added !== 'string' || isNaN(a) || isNaN(b) ||
+			removed.trim() === '' || added.trim() === '') {
+		return false;
+	}
+
+	// The last matching tolerance wins, so those of probes override the
+	// global ones, see `merge()`.
+	rules.tolerance.forEach(function(item) {
+		if (!item.path || item.path.test(fullPath)) {
+			tolerance = item.value;
+		}
+	});
+	return tolerance !== null && Math.abs(a - b) <= tolerance;
+}
+
+module.exports = {
+	PRESETS: PRESETS,
+	compile: compile,
+	merge: merge,
+	apply: apply,
+	withinTolerance: withinTolerance
+};
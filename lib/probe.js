@@ -7,15 +7,20 @@
  * Date: 13-7-25
  */
 
-var os = require('os');
 var fs = require('fs');
 var path = require('path');
 var util = require('util');
 var crypto = require('crypto');
-var acorn = require('acorn');
-var objectDiff = require('objectdiff');
 var ast = require('./ast');
 var git = require('./git');
+var snapshot = require('./snapshot');
+var context = require('./context');
+var store = require('./store');
+var report = require('./report');
+var inspector = require('./inspector');
+var annotation = require('./annotation');
+var sourcemap = require('./sourcemap');
+var normalize = require('./normalize');
 
 // Stores all probes defined in the program.
 // Each key is a filename that's used to store the probe's result.
@@ -24,9 +29,10 @@ var probes = {};
 
 // Stores previous probe results loaded from files.
 // Each key is a filename, and value is an object that contains two
-// fields: one is an array of probe objects like in `probes`, the
-// other is an object that maps probe names to probe indexes, used
-// to match named probes.
+// fields: `runs`, the runs saved in the file (see `store.js`), and
+// `baselines`, which maps each baseline to the results of the run
+// selected by it, see `_loadSavedRun()`. The value is `false` if
+// the file has been cleaned.
 var savedProbes = {};
 
 
@@ -51,6 +57,10 @@ var createdProbes = {};
 // to that method. Value is always 1.
 var calledMethods = {};
 
+// The callsite of the user's `Probe.createProbe()` call, which is set by
+// `Probe.createProbe()` while it calls the `Probe()` constructor.
+var creatingSite = null;
+
 
 // Maps source filenames to source file contents.
 var fileCache = {};
@@ -86,47 +96,137 @@ function _getCallSite(i) {
 }
 
 /**
- * This function is called by `Probe.prototype.watch()` to determine
- * the names (or expr text) of the variables or expressions being
- * watched, so that we can display these names in the output.
+ * This function returns the file name of a callsite as a path, converting
+ * the `file:` URLs of ES modules.
  *
- * The biggest problem of implementing such debugging helpers in
- * JavaScript is that, unlike other dynamic languages, it lacks
- * inspection abilities on local variables. We can't fetch a list
- * of local variables in the current scope and print their values.
+ * @param site {Object} the callsite object.
+ * @returns {string}
+ * @private
+ */
+function _getSiteFileName(site) {
+	return sourcemap.toFilePath(site.getFileName());
+}
+
+/**
+ * This function checks whether a variable read through the inspector is
+ * worth recording. Probes, this library, and the bindings of the CommonJS
+ * module wrapper (eg, `module`, whose `children` are the whole tree of
+ * loaded modules) are left out.
  *
- * Therefore, the user is required to call `watch()` manually and
- * pass in the variable and expression values to watch, and call
- * it repeatedly to update these values.
+ * @param name {string}
+ * @param value {*}
+ * @returns {boolean}
+ * @private
+ */
+function _isRecordable(name, value) {
+	return !(value instanceof Probe) && value !== Probe && ast.WRAPPER_NAMES.indexOf(name) === -1;
+}
+
+/**
+ * This function reads the variables in the scope chain of the user's
+ * function that calls a probe's method, see `inspector.captureScope()`.
+ * Variables that aren't recordable (see `_isRecordable()`) are left out.
  *
- * However, this is not enough, because these are just values,
- * and without readable names of them we can't print a readable
- * list for the user to check out.
+ * @returns {Object} an object with two fields: `names` and `values`, which
+ *                   are empty if the inspector isn't available.
+ * @private
+ */
+function _captureScope() {
+	var scope = inspector.captureScope();
+	var result = {names: [], values: []};
+
+	if (scope) {
+		for (var i = 0; i < scope.names.length; i++) {
+			if (_isRecordable(scope.names[i], scope.values[i])) {
+				result.names.push(scope.names[i]);
+				result.values.push(scope.values[i]);
+			}
+		}
+	}
+	return result;
+}
+
+/**
+ * This function records the local variables of the stack frames of the
+ * user's code among paused frames, see `inspector.js`. Variables that
+ * aren't recordable (see `_isRecordable()`) are left out.
  *
- * This function first generates a stack trace to find out the line
- * and column numbers of the user's call to `watch()`, and then use
- * acorn to parse the source file and find the corresponding location
- * in the AST, and finally extract the variable names and expression
- * text from the AST.
+ * @param frames {Array} the `Debugger.CallFrame` objects.
+ * @returns {Array} the frames, see `report.printFrames()`. Watched values
+ *                  are snapshots, and file names are identities (see
+ *                  `_getSourceIdentity()`).
+ * @private
+ */
+function _recordFrames(frames) {
+	var limits = {maxDepth: _options.maxDepth, maxSize: _options.maxSize};
+	var result = [];
+	var i, j, scope, watches;
+
+	for (i = 0; i < frames.length; i++) {
+		if (!inspector.isUserFrame(frames[i])) {
+			continue;
+		}
+		scope = inspector.readFrame(frames[i]);
+		watches = {};
+		for (j = 0; j < scope.names.length; j++) {
+			if (_isRecordable(scope.names[j], scope.values[j])) {
+				watches[scope.names[j]] = snapshot.encode(scope.values[j], limits);
+			}
+		}
+		result.push({
+			functionName: scope.site.functionName,
+			fileName: _getSourceIdentity(scope.site.fileName),
+			lineNumber: scope.site.lineNumber,
+			columnNumber: scope.site.columnNumber,
+			watches: watches
+		});
+	}
+	return result;
+}
+
+/**
+ * This function checks whether paused frames are the same as the frames
+ * of a saved exception, ie, they have the same functions in the same files
+ * from the innermost one outwards.
  *
- * @returns {Array} array containing the requested names.
+ * @param frames {Array} the `Debugger.CallFrame` objects.
+ * @param saved {Array} the saved frames.
+ * @returns {boolean}
  * @private
  */
-function _getWatchNames() {
-	// Get the CallSite object for the user's `watch()` call.
-	var site = _getCallSite(3);
-	var fileName = site.getFileName();
-	var lineNumber = site.getLineNumber();
-	var columnNumber = site.getColumnNumber();
+function _matchFrames(frames, saved) {
+	var n = 0;
+	var site;
+
+	for (var i = 0; i < frames.length; i++) {
+		if (inspector.isUserFrame(frames[i])) {
+			site = inspector.getSite(frames[i]);
+			if (n >= saved.length || site.functionName !== saved[n].functionName ||
+					_getSourceIdentity(site.fileName) !== saved[n].fileName) {
+				return false;
+			}
+			n++;
+		}
+	}
+	return n === saved.length;
+}
+
+/**
+ * This function reads a source file and builds an AST for it, and stores
+ * them in `fileCache`, `fileOffsetCache` and `astCache`, if this hasn't
+ * been done already.
+ *
+ * @param fileName {string} the source file name.
+ * @private
+ */
+function _loadSource(fileName) {
 	var fileContent, lines, offsets;
-	var ast, offset;
 	var i;
 
-	// Read the file and build an AST for it if this hasn't been done
-	// already.
 	if (fileCache[fileName] === undefined) {
-		fileCache[fileName] = fileContent = fs.readFileSync(fileName).toString();
-		astCache[fileName] = ast = acorn.parse(fileContent);
+		fileContent = sourcemap.readSource(fileName);
+		astCache[fileName] = ast.parse(fileContent, {locations: true, fileName: fileName});
+		fileCache[fileName] = fileContent;
 
 		lines = fileContent.split('\n');
 		offsets = [0];
@@ -134,249 +234,369 @@ function _getWatchNames() {
 			offsets.push(offsets[i] + lines[i].length + 1);
 		}
 		fileOffsetCache[fileName] = offsets;
-	} else {
-		fileContent = fileCache[fileName];
-		offsets = fileOffsetCache[fileName];
-		ast = astCache[fileName];
 	}
+}
 
-	// Find the offset of the callsite in the file from the line and
-	// column numbers.
-	offset = offsets[lineNumber - 1] + columnNumber - 1;
+/**
+ * This function converts a (lineNumber, columnNumber) pair in a source
+ * file loaded by `_loadSource()` to the corresponding offset in the file.
+ *
+ * @param fileName {string} the source file name.
+ * @param lineNumber {int} 1-based line number.
+ * @param columnNumber {int} 1-based column number.
+ * @returns {int} 0-based offset.
+ * @private
+ */
+function _getOffset(fileName, lineNumber, columnNumber) {
+	return fileOffsetCache[fileName][lineNumber - 1] + columnNumber - 1;
+}
 
-	// Find the ExpressionStatement that contains the `watch()` call in
-	// the AST at this offset.
-	var targetExpr = null;
-	function traverse(node) {
-		var i;
-		if (node.type === 'ExpressionStatement') {
-			if (node.start <= offset && node.end > offset) {
-				// This Expression Statement is what we are looking for.
-				targetExpr = node;
-				return;
+/**
+ * This function returns an identity of a source file that stays the same
+ * in every checkout of the repository (eg, a `git worktree` of another
+ * commit), which is its path relative to the Git repository root.
+ *
+ * For files outside of a repository, the path relative to the closest
+ * directory with a `package.json` is used instead, prefixed by the package
+ * name, eg, `express/lib/router/index.js`. If there isn't one either, the
+ * absolute path is used.
+ *
+ * @param fileName {string} the absolute source file path.
+ * @returns {string}
+ * @private
+ */
+function _getSourceIdentity(fileName) {
+	var root = git.getRepoRoot(path.dirname(fileName));
+	var dir, parent, pkg;
+
+	if (root) {
+		// Git always uses forward slashes, so do we.
+		return path.relative(root, fileName).split(path.sep).join('/');
+	}
+
+	dir = path.dirname(fileName);
+	while (true) {
+		if (fs.existsSync(path.join(dir, 'package.json'))) {
+			try {
+				pkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json')).toString());
+			} catch (e) {
+				pkg = {};
 			}
+			return [pkg.name || path.basename(dir)]
+					.concat(path.relative(dir, fileName).split(path.sep)).join('/');
+		}
+		parent = path.dirname(dir);
+		if (parent === dir) {
+			return fileName;
 		}
+		dir = parent;
+	}
+}
 
-		// Process its children only if we are not done yet.
-		if (node.body instanceof Array) {
-			for (i = 0; i < node.body.length; i++) {
-				if (targetExpr) {
-					return;
-				}
-				traverse(node.body[i]);
-			}
-		} else if (node.body) {
-			traverse(node.body);
-		}
-	}
-	traverse(ast);
-
-	// Next step is to find the smallest CallExpression inside this
-	// node that contains the offset.
-	var targetCall = null;
-	function traverse2(node) {
-		var i, j;
-		var keys, value;
-
-		// Note that since we are here, the node must contain the offset.
-		if (node.type === 'CallExpression') {
-			// Since we traverse from top to bottom, this CallExpression
-			// node is definitely smaller than any previous matches.
-			targetCall = node;
-		}
-
-		// Process its children.
-		keys = Object.keys(node);
-		for (i = 0; i < keys.length; i++) {
-			value = node[keys[i]];
-			if (value instanceof Array) {
-				for (j = 0; j < value.length; j++) {
-					if (value[j] instanceof Object && value[j].type && value[j].end) {
-						// This is a node, proceed iff it contains the offset.
-						if (value[j].start <= offset && value[j].end > offset) {
-							traverse2(value[j]);
-						}
-					}
-				}
-			} else if (value instanceof Object && value.type && value.end) {
-				// This is a node, proceed iff it contains the offset.
-				if (value.start <= offset && value.end > offset) {
-					traverse2(value);
-				}
-			}
+/**
+ * This function checks whether an AST node creates a probe, ie, whether
+ * it's a `Probe.createProbe()` call or a `new Probe()` expression.
+ *
+ * @param node {Object} the AST node.
+ * @returns {boolean}
+ * @private
+ */
+function _isProbeCreation(node) {
+	var callee = node.callee;
+	if (node.type === 'CallExpression') {
+		return callee.type === 'MemberExpression' && !callee.computed && callee.property.name === 'createProbe';
+	}
+	if (node.type === 'NewExpression') {
+		if (callee.type === 'MemberExpression' && !callee.computed) {
+			callee = callee.property;
 		}
+		return callee.type === 'Identifier' && callee.name === 'Probe';
 	}
-	traverse2(targetExpr);
+	return false;
+}
 
-	var result = [];
-	var args = targetCall.arguments;
-	for (i = 0; i < args.length; i++) {
-		var item = fileContent.substring(args[i].start, args[i].end);
-		item = item.replace(/\s+/g, '');
-		result.push(item);
+/**
+ * This function returns the key under which a node is a child of its
+ * parent, eg, `body` or `init`. Indexes in arrays are left out.
+ *
+ * @param parent {Object}
+ * @param node {Object}
+ * @returns {string}
+ * @private
+ */
+function _getChildKey(parent, node) {
+	var keys = Object.keys(parent);
+	for (var i = 0; i < keys.length; i++) {
+		if (parent[keys[i]] === node ||
+				(parent[keys[i]] instanceof Array && parent[keys[i]].indexOf(node) >= 0)) {
+			return keys[i];
+		}
 	}
+	return '';
+}
 
-	return result;
+/**
+ * This function returns the name a node gives to its value, if any, eg,
+ * `p` of `var p = ...` or `this.p = ...`, which tells apart probe creations
+ * that are otherwise in the same kind of place.
+ *
+ * @param node {Object}
+ * @returns {string}
+ * @private
+ */
+function _getNodeLabel(node) {
+	var target;
+
+	switch (node.type) {
+	case 'VariableDeclarator':
+		target = node.id;
+		break;
+	case 'AssignmentExpression':
+		target = node.left;
+		break;
+	case 'Property':
+	case 'PropertyDefinition':
+		target = node.key;
+		break;
+	default:
+		return '';
+	}
+	if (target.type === 'MemberExpression' && !target.computed) {
+		target = target.property;
+	}
+	return target.type === 'Identifier' ? target.name : '';
 }
 
 /**
- * This function takes a string to be printed to the console, and formats
- * it so that when it wraps, 4 spaces are prepended to the next line to
- * make it more readable.
+ * This function generates a fingerprint for an unnamed probe from the
+ * callsite of the `Probe.createProbe()` call or `new Probe` expression
+ * that created it, which is used to match it against probes saved by
+ * the last run.
  *
- * The input string can contain color sequences which take spaces in the
- * string, but not in the printed output. So this function must be able
- * to deal with them.
+ * The fingerprint is composed of 3 parts: the identity of the source file
+ * (see `_getSourceIdentity()`), the names of the enclosing functions, from
+ * the outermost to the innermost, and the path of the call through the AST
+ * of the innermost enclosing function, ie, the types of the nodes, the keys
+ * under which they are children of their parents, and the names they give
+ * to their values (eg, `var p = ...`), but not the indexes of statements.
+ * Only calls on the same path in the same function (eg, two statements
+ * `Probe.createProbe().watch(...)`) are told apart by their order. Since
+ * none of these involve line or column numbers, the fingerprint survives
+ * small edits to the code, including adding probes elsewhere, and changes
+ * in async timing.
  *
- * @param str {string} the input string.
- * @returns {string} the output string.
+ * @param site {Object} the callsite object.
+ * @returns {string|null} the fingerprint, or null if it can't be generated
+ *                        (eg, the source file can't be parsed).
  * @private
  */
-function _lineBreak(str) {
-	var result = '';
-	var consoleColumns = process.stdout.columns;
-
-	// As an optimization, if the length of str (including color sequences)
-	// doesn't exceed the console's width, this is definitely an one-liner.
-	if (str.length <= consoleColumns) {
-		return str;
-	}
-
-	// The start index in `str` of the current line.
-	var start = 0;
-	// The number of actual characters counted into the current line.
-	var ct = 0;
-	// Whether we are inside a color sequence.
-	var inSeq = false;
-
-	for (var i = 0; i < str.length; i++) {
-		if (str[i] === '\x1B') {
-			inSeq = true;
-		} else if (inSeq) {
-			if (str[i] === 'm') {
-				inSeq = false;
-			}
-		} else {
-			ct++;
-			if (str[i] === '\n' || ct === consoleColumns) {
-				// We have finished counting a line.
-				if (start) {
-					// This isn't the first line, prepend '\n' and 4 spaces.
-					result += '\n    ';
-				} else {
-					// This is the first line, all subsequent lines must leave
-					// space for the 4 spaces prepended.
-					consoleColumns -= 4;
-				}
-				// Add the line to the result.
-				if (str[i] === '\n') {
-					// The line break is triggered by a '\n', don't include
-					// it into the resulting string.
-					result += str.substring(start, i);
-				} else {
-					result += str.substring(start, i + 1);
-				}
-				start = i + 1;
-				ct = 0;
-			}
+function _getProbeFingerprint(site) {
+	var fileName = _getSiteFileName(site);
+	var parents = new Map();
+	var nodePath, target, scope, funcNames, position;
+	var index = 0;
+	var i, j;
+
+	try {
+		_loadSource(fileName);
+		nodePath = ast.getNodePath(astCache[fileName]
+								 , _getOffset(fileName, site.getLineNumber(), site.getColumnNumber()));
+	} catch (e) {
+		return null;
+	}
+
+	// Find the innermost probe creation at the callsite.
+	for (i = nodePath.length - 1; i >= 0; i--) {
+		if (_isProbeCreation(nodePath[i])) {
+			target = nodePath[i];
+			break;
 		}
 	}
+	if (!target) {
+		return null;
+	}
 
-	// Add the last line to the result.
-	if (start) {
-		// This isn't the first line, prepend '\n' and 4 spaces.
-		result += '\n    ';
+	// Collect names of the enclosing functions.
+	funcNames = [];
+	scope = nodePath[0];
+	for (j = 1; j < i; j++) {
+		if (ast.isFunction(nodePath[j])) {
+			funcNames.push(ast.getFunctionName(nodePath[j], nodePath[j - 1]));
+			scope = nodePath[j];
+		}
 	}
-	result += str.substring(start);
 
-	return result;
+	function describe(node) {
+		var parts = [];
+		var parent;
+		for (; node !== scope; node = parent) {
+			parent = parents.get(node);
+			parts.unshift(_getChildKey(parent, node) + '.' + node.type
+						+ (_getNodeLabel(node) ? '(' + _getNodeLabel(node) + ')' : ''));
+		}
+		return parts.join('/');
+	}
+
+	ast.walk(scope, function(node, parent) {
+		if (node !== scope && ast.isFunction(node)) {
+			return false;
+		}
+		parents.set(node, parent);
+		return true;
+	});
+	position = describe(target);
+
+	// Count the probe creations on the same path before the target.
+	parents.forEach(function(parent, node) {
+		if (node.start < target.start && _isProbeCreation(node) && describe(node) === position) {
+			index++;
+		}
+	});
+
+	return [_getSourceIdentity(fileName), funcNames.join('>'), position + (index > 0 ? '@' + index : '')].join(':');
 }
 
 /**
- * This function uses the objectdiff library to diff two objects or
- * literals and generates a nice-looking diff (inspired by file diffs)
- * from the result.
- *
- * @param a {*} diff operand 1, can be object or literal.
- * @param b {*} diff operand 2, can be object or literal.
- * @param colors {boolean} whether to colorize the output.
- * @returns {Array} empty if equal, otherwise a list of changes.
+ * This function returns the position of a callsite in the source we wrote.
+ * If the file is generated (eg, by TypeScript, Babel or a bundler) with a
+ * source map, the position is mapped to the original source, unless it
+ * can't be parsed, eg, TypeScript, in which case the generated file is
+ * used.
+ *
+ * @param site {Object} the callsite object.
+ * @returns {Object} an object with three fields: `fileName`, `lineNumber`
+ *                   and `columnNumber`. The file is loaded by
+ *                   `_loadSource()`.
  * @private
  */
-function _generateObjectDiff(a, b, colors) {
-	var result = [];
-	var numberPat = /^\d+$/;
-
-	// Format strings
-	var changeStr =  ['*   %s = %s -> %s',
-					  '\x1B[36m*   %s\x1B[0m = \x1B[31m%s\x1B[0m -> \x1B[32m%s\x1B[0m'];
-	var changeStr2 = ['*   %s -> %s',
-					  '\x1B[36m*\x1B[0m   \x1B[31m%s\x1B[0m -> \x1B[32m%s\x1B[0m'];
-	var removeStr =  ['-   %s = %s',
-					  '\x1B[31m-   %s\x1B[0m = \x1B[31m%s\x1B[0m'];
-	var addStr =     ['+   %s = %s',
-					  '\x1B[32m+   %s\x1B[0m = \x1B[32m%s\x1B[0m'];
-	var idx = colors ? 1 : 0;
-
-	// Traverse the diff object to find all changes.
-	function traverse(node, path) {
-		var keys, i;
-		if (node.changed === 'object change') {
-			keys = Object.keys(node.value);
-			for (i = 0; i < keys.length; i++) {
-				var newPath;
-				// If the key is a number, it's probably an array index
-				if (numberPat.test(keys[i])) {
-					newPath = '[' + keys[i] + ']';
-					if (path) {
-						newPath = path + newPath;
-					}
-				} else {
-					newPath = path ? path + '.' + keys[i] : keys[i];
-				}
-				traverse(node.value[keys[i]], newPath);
-			}
-
-		} else if (node.changed === 'primitive change') {
-			result.push(_lineBreak(util.format(changeStr[idx]
-											 , path
-											 , util.inspect(node.removed)
-											 , util.inspect(node.added))));
+function _getSourcePosition(site) {
+	var pos = {
+		fileName: _getSiteFileName(site),
+		lineNumber: site.getLineNumber(),
+		columnNumber: site.getColumnNumber()
+	};
+	var original = sourcemap.getOriginalPosition(pos.fileName, pos.lineNumber, pos.columnNumber);
+
+	if (original) {
+		try {
+			_loadSource(original.fileName);
+			return original;
+		} catch (e) {
+			// Fall back to the generated file.
+		}
+	}
+	_loadSource(pos.fileName);
+	return pos;
+}
 
-		} else if (node.changed === 'removed') {
-			result.push(_lineBreak(util.format(removeStr[idx]
-											 , path
-											 , util.inspect(node.value))));
+/**
+ * This function is called by `Probe.prototype.watch()` to determine
+ * the names (or expr text) of the variables or expressions being
+ * watched, so that we can display these names in the output.
+ *
+ * The biggest problem of implementing such debugging helpers in
+ * JavaScript is that, unlike other dynamic languages, it lacks
+ * inspection abilities on local variables. We can't fetch a list
+ * of local variables in the current scope and print their values.
+ *
+ * Therefore, the user is required to call `watch()` manually and
+ * pass in the variable and expression values to watch, and call
+ * it repeatedly to update these values.
+ *
+ * However, this is not enough, because these are just values,
+ * and without readable names of them we can't print a readable
+ * list for the user to check out.
+ *
+ * This function first generates a stack trace to find out the line
+ * and column numbers of the user's call to `watch()` (in the original
+ * source, see `_getSourcePosition()`), and then parses the source file
+ * (see `ast.parse()`) and finds the innermost call at this location in the
+ * AST, and finally extracts the variable names and expression text of its
+ * arguments.
+ *
+ * @returns {Array} array containing the requested names.
+ * @private
+ */
+function _getWatchNames() {
+	// Get the position of the user's `watch()` call. This also reads the
+	// file and builds an AST for it if this hasn't been done already.
+	var pos = _getSourcePosition(_getCallSite(3));
+	var fileName = pos.fileName;
+	var fileContent = fileCache[fileName];
+	var nodePath, targetCall;
+	var i;
 
-		} else if (node.changed === 'added') {
-			result.push(_lineBreak(util.format(addStr[idx]
-											 , path
-											 , util.inspect(node.value))));
+	// Find the innermost CallExpression that contains the callsite, which
+	// is the `watch()` call, wherever it's nested, eg, in a block, an
+	// arrow function or a class.
+	nodePath = ast.getNodePath(astCache[fileName], _getOffset(fileName, pos.lineNumber, pos.columnNumber));
+	for (i = nodePath.length - 1; i >= 0; i--) {
+		if (nodePath[i].type === 'CallExpression') {
+			targetCall = nodePath[i];
+			break;
 		}
 	}
+	if (!targetCall) {
+		return [];
+	}
 
-	// objectdiff only supports comparing two objects.
-	if (a instanceof Object && b instanceof Object) {
-		var diff = objectDiff.diff(a, b);
+	var result = [];
+	var args = targetCall.arguments;
+	for (i = 0; i < args.length; i++) {
+		var item = fileContent.substring(args[i].start, args[i].end);
+		item = item.replace(/\s+/g, '');
+		result.push(item);
+	}
 
-		traverse(diff, '');
+	return result;
+}
 
-	} else {
-		if (a !== b) {
-			result.push(_lineBreak(util.format(changeStr2[idx]
-											 , util.inspect(a)
-											 , util.inspect(b))));
+/**
+ * This function formats the `watch()` statement printed by
+ * `Probe.printWatchStmt()`, eg,
+ *
+ *     probe.watch(/* parameters *\/ a, b, /* locals *\/ total, /* captured *\/ RATE);
+ *
+ * The comments aren't part of the watch names, see `_getWatchNames()`.
+ *
+ * @param results {Array} the variables of each function, see
+ *                        `ast.analyzeFunction()`.
+ * @returns {string}
+ * @private
+ */
+function _formatWatchStmt(results) {
+	var groups = [
+		['params', 'parameters'],
+		['locals', 'locals'],
+		['blockScoped', 'block-scoped'],
+		['captured', 'captured']
+	];
+	var parts = [];
+
+	groups.forEach(function(group) {
+		var names = [];
+		results.forEach(function(result) {
+			result[group[0]].forEach(function(binding) {
+				if (names.indexOf(binding.name) === -1) {
+					names.push(binding.name);
+				}
+			});
+		});
+		if (names.length > 0) {
+			parts.push('/* ' + group[1] + ' */ ' + names.join(', '));
 		}
-	}
+	});
 
-	return result;
+	return 'probe.watch(' + parts.join(', ') + ');';
 }
 
 /**
- * This function generates a file name from a profile name (of Probe).
+ * This function generates a file name (in the run store, see `store.js`)
+ * from a profile name (of Probe).
  * If the profile name is falsy (eg, not set), we generate the file
  * name based on information of the user call that triggered this
- * operation, including source file path and function/method names.
+ * operation, including the source file's identity (its path in the
+ * repository, see `_getSourceIdentity()`) and function/method names.
  *
  * The optional callsite argument can be provided by the caller when
  * it already has this information, to avoid us having to get it again.
@@ -388,27 +608,34 @@ function _generateObjectDiff(a, b, colors) {
  * @private
  */
 function _getFileNameFromProfile(profile, callsite) {
-	var fileName;
-
 	if (profile) {
 		// Get file name from profile name
-		fileName = profile + '_probes.json';
+		return store.getProfileFile(_getStoreDir(), profile);
 	} else {
 		// Generate file name automatically, based on the source file
-		// path and function/method names of the user call.
+		// identity and function/method names of the user call. The
+		// identity doesn't depend on where the repository is checked
+		// out, so the same file name is generated in a `git worktree`
+		// or another checkout of the repository.
 		if (!callsite) {
 			callsite = _getCallSite(3);
 		}
 
-		var str = callsite.getFileName()
+		var str = _getSourceIdentity(_getSiteFileName(callsite))
 				+ callsite.getFunctionName()
 				+ callsite.getMethodName();
 
-		fileName = crypto.createHash('sha256').update(str).digest('hex').substring(0,16);
-		fileName += '_probes.json';
+		return store.getProfileFile(_getStoreDir(),
+				crypto.createHash('sha256').update(str).digest('hex').substring(0,16));
 	}
+}
 
-	return path.join(os.tmpdir(), fileName);
+// Get the store directory, see `store.js`.
+function _getStoreDir() {
+	if (_storeDir === undefined) {
+		_storeDir = store.getDefaultDir();
+	}
+	return _storeDir;
 }
 
 /**
@@ -417,10 +644,10 @@ function _getFileNameFromProfile(profile, callsite) {
  * detection mechanism of probe types.
  *
  * Whenever one of these methods are called on an unconditional probe,
- * the probe is converted to a conditional probe, and its `count` is
- * reset to 0. The only exception is if the probe has explicitly been
- * set as an unconditional probe by calling `setCountAndType()`, in
- * which case an error is thrown.
+ * the probe is converted to a conditional probe, and its `count` (along
+ * with its pass history) is reset to 0. The only exception is if the probe
+ * has explicitly been set as an unconditional probe by calling
+ * `setCountAndType()`, in which case an error is thrown.
  *
  * @param probe {Object} the probe in question.
  * @private
@@ -432,42 +659,406 @@ function _testCalled(probe) {
 		} else {
 			probe._isConditional = true;
 			probe._count = 0;
+			probe._passes = 0;
+			probe._history = null;
+			probe._trace = null;
+			probe._contexts = {};
 		}
 	}
 }
 
+/**
+ * This function is called at the beginning of the probe's `watch()`,
+ * `test()`, `ptest()` and `pdone()` methods. If the "perContext" option
+ * of the probe is set, and the current async context (see `context.js`)
+ * is different from the one of the last call, it switches the probe's
+ * per-context state (`count`, passes, watched values and partial test
+ * result) to those of the current context.
+ *
+ * This way the rest of the probe's logic only ever sees the passes in the
+ * current context, and everything it records is tagged with `_context`.
+ *
+ * @param probe {Object} the probe in question.
+ * @private
+ */
+function _enterContext(probe) {
+	if (!_getOption(probe, 'perContext')) {
+		return;
+	}
+
+	var key = context.current();
+	if (key === probe._context) {
+		return;
+	}
+
+	// Save the state of the last context, and restore (or initialize)
+	// that of the current one.
+	probe._contexts[typeof probe._context + ':' + probe._context] = {
+		count: probe._count,
+		passes: probe._passes,
+		watches: probe._watches,
+		presult: probe._presult
+	};
+	var state = probe._contexts[typeof key + ':' + key] || {
+		count: 0,
+		passes: 0,
+		watches: {},
+		presult: true
+	};
+	probe._count = state.count;
+	probe._passes = state.passes;
+	probe._watches = state.watches;
+	probe._presult = state.presult;
+	probe._context = key;
+}
+
+/**
+ * This function loads the results of the run selected by a baseline (see
+ * `store.selectRun()`) from a file. Results are loaded only once for each
+ * file and baseline, and indexed for matching probes against them.
+ *
+ * @param fileName {string} the profile file.
+ * @param baseline {string|Object} [optional] default is the one set with
+ *                                 `Probe.setBaseline()`.
+ * @returns {Object|null} the selected run indexed by `store.indexRun()`,
+ *                        or null if no run is selected.
+ * @private
+ */
+function _loadSavedRun(fileName, baseline) {
+	var saved = savedProbes[fileName];
+	var key, run;
+
+	if (saved === false) {
+		return null;
+	}
+	if (saved === undefined) {
+		saved = savedProbes[fileName] = {runs: store.loadRuns(fileName), baselines: {}};
+	}
+
+	baseline = baseline || _baseline;
+	key = JSON.stringify(baseline);
+	if (saved.baselines[key] === undefined) {
+		run = store.selectRun(saved.runs, baseline);
+		saved.baselines[key] = run ? store.indexRun(run) : null;
+	}
+	return saved.baselines[key];
+}
+
+/**
+ * This function is called by the probe's `watch()` (of unconditional
+ * probes), `test()` and `pdone()` (of conditional probes) methods every
+ * time execution passes the probe, after `count` is updated but before
+ * it's checked, so that the pass that fires the probe is included.
+ *
+ * If the "history" option of the probe is set to K, the current watched
+ * values are recorded in a ring buffer that keeps the last K passes. If
+ * the "diverge" option is set, they are also recorded in `_trace`, which
+ * keeps all passes.
+ * Note that for conditional probes, `watch()` should be called before
+ * `test()` or `pdone()` in each pass, so that the watched values are
+ * recorded with the test result of the same pass.
+ *
+ * @param probe {Object} the probe in question.
+ * @param passed {boolean|null} the test result of a conditional probe,
+ *                              or null for an unconditional probe.
+ * @private
+ */
+function _recordPass(probe, passed) {
+	var size = _getOption(probe, 'history');
+	var diverge = _getOption(probe, 'diverge');
+	var history = probe._history;
+
+	probe._passes++;
+
+	if (size > 0 || diverge) {
+		// The snapshots in `_watches` are replaced rather than modified by
+		// `watch()`, so a shallow copy is enough.
+		var watches = {};
+		var keys = Object.keys(probe._watches);
+		for (var i = 0; i < keys.length; i++) {
+			watches[keys[i]] = probe._watches[keys[i]];
+		}
+
+		var entry = {
+			context: probe._context,
+			pass: probe._passes,
+			count: probe._count,
+			passed: passed,
+			watches: watches
+		};
+
+		if (size > 0) {
+			if (!history || history.size !== size) {
+				history = probe._history = {size: size, entries: [], next: 0};
+			}
+			history.entries[history.next] = entry;
+			history.next = (history.next + 1) % size;
+		}
+
+		if (diverge) {
+			if (!probe._trace) {
+				probe._trace = [];
+			}
+			probe._trace.push(entry);
+		}
+	}
+}
+
+/**
+ * This function finds the entry of the current pass (in the current async
+ * context) in the `_trace` saved by the last run, if it exists.
+ *
+ * @param probe {Object} the probe in question.
+ * @returns {Object|undefined} the entry.
+ * @private
+ */
+function _findSavedPass(probe) {
+	return store.findSavedPass(probe._saved, probe._context, probe._passes);
+}
+
+/**
+ * This function returns the pass history of a probe recorded by
+ * `_recordPass()`, ordered from the oldest pass to the latest.
+ *
+ * @param probe {Object} the probe in question.
+ * @returns {Array} the history entries.
+ * @private
+ */
+function _getHistory(probe) {
+	var history = probe._history;
+	if (!history) {
+		return [];
+	}
+	return history.entries.slice(history.next).concat(history.entries.slice(0, history.next));
+}
+
+/**
+ * This function parses a target of a probe, and returns it in a form that
+ * can be used by `_matchTarget()`, or null if the target is reset.
+ *
+ * A target can be one of the following:
+ * 1. A positive integer N, meaning pass N. 0 resets the target.
+ * 2. An object `{from: A, to: B, every: K}`, meaning every K'th pass from
+ *    pass A to pass B (inclusive). All fields are optional: `every` defaults
+ *    to 1, `from` defaults to `every` (so `{every: 100}` means passes 100,
+ *    200, 300, ...), and `to` defaults to no limit.
+ * 3. An array of the above, meaning all of these passes, eg, `[3, 7, 42]`.
+ *
+ * For probes with the "perContext" option, the object form can have an
+ * additional `context` field, which limits these passes to the async
+ * context with this key (see `context.js`). Otherwise they apply to every
+ * context.
+ *
+ * @param target {int|Object|Array}
+ * @returns {Object|null} an object that has two fields: `ranges`, an array
+ *                        of `{from, to, every, context}` objects, and `last`, the
+ *                        last targeted pass (Infinity if there isn't one).
+ * @private
+ */
+function _parseTarget(target) {
+	var result = {ranges: [], last: 0};
+
+	function add(item) {
+		var range;
+		if (item instanceof Array) {
+			for (var i = 0; i < item.length; i++) {
+				add(item[i]);
+			}
+		} else if (item instanceof Object) {
+			range = {every: item.every === undefined ? 1 : item.every};
+			range.from = item.from === undefined ? range.every : item.from;
+			range.to = item.to === undefined ? Infinity : item.to;
+			range.context = item.context;
+			if (!(range.every >= 1 && range.from >= 1 && range.to >= range.from)) {
+				throw new Error("Illegal target: " + util.inspect(item));
+			}
+			result.ranges.push(range);
+			result.last = Math.max(result.last, range.to);
+		} else if (item > 0) {
+			result.ranges.push({from: item, to: item, every: 1});
+			result.last = Math.max(result.last, item);
+		} else if (item !== 0) {
+			throw new Error("Illegal target: " + util.inspect(item));
+		}
+	}
+
+	add(target);
+	return result.ranges.length > 0 ? result : null;
+}
+
+/**
+ * This function checks whether a count in an async context is targeted by
+ * a parsed target.
+ *
+ * @param target {Object} a target returned by `_parseTarget()`.
+ * @param count {int}
+ * @param key {string|int|null} key of the async context.
+ * @returns {boolean}
+ * @private
+ */
+function _matchTarget(target, count, key) {
+	for (var i = 0; i < target.ranges.length; i++) {
+		var range = target.ranges[i];
+		if (count >= range.from && count <= range.to && (count - range.from) % range.every === 0 &&
+				(range.context === undefined || range.context === key)) {
+			return true;
+		}
+	}
+	return false;
+}
+
 /**
  * This function is called by the probe's `watch()`, `test()`, and
  *  `pdone()` methods to check after incrementing its count whether
  * the new count should trigger the firing of the probe.
  *
+ * A probe can be targeted at more than one pass, either by the user (see
+ * `_setTargetAndType()`), or by the last run that fired it more than once.
+ * In this case it's fired on each of these passes, and only frozen after
+ * the last one.
+ *
  * @param probe {Object} the probe in question.
  * @private
  */
 function _checkCount(probe) {
-	if (probe._target > 0) {
-		// `probe.target` is set, fire the probe iff it's met.
-		if (probe._count === probe._target) {
-			probe.fire('user set N reached');
+	var target = probe._target;
+	var reason = 'user set N reached';
+	var counts, i;
+
+	if (!target) {
+		if (_isDiverging(probe)) {
+			// The probe is fired by `_checkDivergence()` instead.
+			return;
 		}
-	} else {
+
 		// Fire the probe if data is available from the previous
 		// run in the same context.
-		if (probe._saved &&
-				probe._saved._count === probe._count &&
-				probe._saved._isConditional === probe._isConditional) {
-			probe.fire('N from last run');
+		if (probe._saved && probe._saved._isConditional === probe._isConditional) {
+			if (probe._saved._firings) {
+				counts = [];
+				for (i = 0; i < probe._saved._firings.length; i++) {
+					if (probe._saved._firings[i].count === 0) {
+						// Fired before exit without any pass.
+						continue;
+					}
+					counts.push({
+						from: probe._saved._firings[i].count,
+						to: probe._saved._firings[i].count,
+						context: probe._saved._firings[i].context
+					});
+				}
+			} else {
+				// Files saved by older versions only have the count.
+				counts = [probe._saved._count];
+			}
+			target = _parseTarget(counts);
+			reason = 'N from last run';
+		}
+	}
+
+	if (target && _matchTarget(target, probe._count, probe._context)) {
+		probe.fire(reason);
+		if (probe._count < target.last || _getOption(probe, 'perContext')) {
+			// There are more passes to fire on, unfreeze the probe. With
+			// the "perContext" option, other contexts may always reach
+			// their targeted passes later.
+			probe._fired = false;
 		}
 	}
 }
 
+/**
+ * This function decides whether a probe is in the "diverge" mode, in which
+ * it's fired at the first pass whose watched values differ from those of
+ * the same pass in the last run (the "good" run), rather than when N from
+ * the last run is reached. It requires the "diverge" option to be set in
+ * both runs, and no target to be set by the user.
+ *
+ * @param probe {Object} the probe in question.
+ * @returns {boolean}
+ * @private
+ */
+function _isDiverging(probe) {
+	return !!(_getOption(probe, 'diverge') && !probe._target && probe._saved && probe._saved._trace &&
+			probe._saved._isConditional === probe._isConditional);
+}
+
+/**
+ * This function is called by the probe's `watch()` (of unconditional
+ * probes), `test()` and `pdone()` (of conditional probes) methods right
+ * after `_recordPass()`. In the "diverge" mode, it compares the watched
+ * values of this pass against those of the same pass in the last run,
+ * and fires the probe if they differ, or if the last run never reached
+ * this pass.
+ *
+ * @param probe {Object} the probe in question.
+ * @private
+ */
+function _checkDivergence(probe) {
+	if (probe._fired || _isDiverging(probe) === false) {
+		return;
+	}
+
+	var entry = _findSavedPass(probe);
+	var paths = [];
+	var keys, i, j, watchPaths;
+
+	if (!entry) {
+		probe._divergence = {pass: probe._passes, paths: null};
+		probe.fire('first divergence from last run');
+		return;
+	}
+
+	// Changes are identified by the watch names followed by their paths
+	// in the watched values.
+	keys = Object.keys(probe._watches);
+	for (i = 0; i < keys.length; i++) {
+		if (entry.watches.hasOwnProperty(keys[i])) {
+			watchPaths = [];
+			report.generateObjectDiff(entry.watches[keys[i]], probe._watches[keys[i]], false, watchPaths, {
+				name: keys[i],
+				diffKeys: _getOption(probe, 'diffKeys'),
+				normalize: _getNormalize(probe)
+			});
+			for (j = 0; j < watchPaths.length; j++) {
+				if (watchPaths[j] === '' || watchPaths[j][0] === '[') {
+					paths.push(keys[i] + watchPaths[j]);
+				} else {
+					paths.push(keys[i] + '.' + watchPaths[j]);
+				}
+			}
+		} else {
+			paths.push(keys[i]);
+		}
+	}
+	keys = Object.keys(entry.watches);
+	for (i = 0; i < keys.length; i++) {
+		if (!probe._watches.hasOwnProperty(keys[i])) {
+			paths.push(keys[i]);
+		}
+	}
+
+	if (paths.length > 0) {
+		probe._divergence = {pass: probe._passes, paths: paths};
+		probe.fire('first divergence from last run');
+	}
+}
+
 /**
  * Private member variables of `Probe()`.
  *
  * Note that `_fileName` is initialized in one of four possible locations:
  * `Probe.setProfile()`, `Probe.clearProfile()` or when the first probe
  * is created, in either `Probe()` or `Probe.createProbe()`. After that,
- * `_fileName` is promptly updated whenever `_profile` is changed.
+ * `_fileName` is promptly updated whenever `_profile` is changed, and
+ * reset whenever `_storeDir` is changed.
+ *
+ * `_storeDir` is the directory of the run store, which is initialized to
+ * the default (see `store.js`) when it's first needed. `_baseline` decides
+ * which saved run the current run is compared against (see
+ * `store.selectRun()`), which can be initialized with the `DIFFBUG_BASELINE`
+ * environment variable, eg, `commit:HEAD~1`. `_maxRuns` is how many runs
+ * are kept for each profile.
  *
  * Options can be set both on `Probe()`, or on individual probes. When both
  * set, those set on an individual probe obviously takes precedent for
@@ -478,13 +1069,77 @@ function _checkCount(probe) {
  *              in the same context are available, diffs will be printed,
  *              whether to not print the new values at the same time.
  * 2. colors: whether to colorize output using ANSI color codes.
+ * 3. maxDepth: watched values are recorded as snapshots when `watch()` is
+ *              called, this limits how deep nested objects are recorded.
+ *              0 or a negative number means no limit.
+ * 4. maxSize: this limits how many values (including nested ones) are
+ *             recorded in the snapshot of each watched value. 0 or a
+ *             negative number means no limit.
+ *
+ * 5. history: if set to K (>0), the watched values of the last K passes
+ *             (see `_recordPass()`) are kept, and printed as a timeline
+ *             when the probe is fired. They are also saved, so that the
+ *             timeline can be diff'ed against that of the next run pass
+ *             by pass. 0 (the default) disables it.
+ *
+ * 6. diverge: if set, the watched values of every pass are recorded and
+ *             saved. When a run finds such records from the last run,
+ *             the probe is fired at the first pass whose watched values
+ *             differ from the same pass in the last run, and the pass
+ *             number and the paths that differ are printed. This way the
+ *             offending pass of a bad run is found automatically, given
+ *             that the last run was a good run with this option set.
+ *
+ * 7. perContext: if set, passes are counted separately in each async context
+ *                (eg, each incoming request, see `Probe.runInContext()`),
+ *                and a pass is identified by its context and its number in
+ *                that context, both in the output and when matched against
+ *                the last run.
+ *
+ * 8. scope: if set, when the probe is fired, all variables in the scope
+ *           chain of the function that calls the probe's method are added
+ *           to the watched values (except those watched already), see
+ *           `Probe.prototype.snapshotScope()`.
+ *
+ * 9. diffKeys: the identity keys of elements of arrays and sets in watched
+ *              values, by their paths, with `[*]` for the indexes, eg,
+ *              `{'users[*]': 'id'}`. When values are diff'ed, elements are
+ *              aligned by these keys (or else by their whole values), so
+ *              that inserted, removed and moved elements are reported as
+ *              such, and the changes of an element are reported wherever
+ *              it's moved to, see `structdiff.js`.
+ *
+ * 10. normalize: normalization rules, which hide nondeterministic noise
+ *               (eg, timestamps, generated ids and the order of unordered
+ *               collections) from diffs, see `normalize.js`. The global
+ *               rules (eg, in the configuration file of a profile) and
+ *               those of a probe are both applied. When they hide any
+ *               change, the number of changes hidden is printed.
+ *
+ * Options 3 and 4 keep the cost of `watch()` down when it's called in hot
+ * loops with large objects.
  *
  */
 var _profile;
 var _fileName;
+var _storeDir;
+var _baseline = process.env.DIFFBUG_BASELINE
+			  ? store.parseBaseline(process.env.DIFFBUG_BASELINE)
+			  : 'last';
+var _maxRuns = store.MAX_RUNS;
+// The state of the exception capture mode, see `Probe.captureExceptions()`.
+var _exceptions = null;
 var _options = {
 	diffOnly: false,
-	colors: true
+	colors: true,
+	maxDepth: 0,
+	maxSize: 0,
+	history: 0,
+	diverge: false,
+	perContext: false,
+	scope: false,
+	diffKeys: null,
+	normalize: null
 };
 
 // Assign user options to the specified options target.
@@ -496,16 +1151,64 @@ function _assignOptions(target, options) {
 		if (options.colors !== undefined) {
 			target.colors = !!(options.colors);
 		}
+		if (options.maxDepth !== undefined) {
+			target.maxDepth = parseInt(options.maxDepth) || 0;
+		}
+		if (options.maxSize !== undefined) {
+			target.maxSize = parseInt(options.maxSize) || 0;
+		}
+		if (options.history !== undefined) {
+			target.history = parseInt(options.history) || 0;
+		}
+		if (options.diverge !== undefined) {
+			target.diverge = !!(options.diverge);
+		}
+		if (options.perContext !== undefined) {
+			target.perContext = !!(options.perContext);
+		}
+		if (options.scope !== undefined) {
+			target.scope = !!(options.scope);
+		}
+		if (options.diffKeys !== undefined) {
+			target.diffKeys = options.diffKeys instanceof Object ? options.diffKeys : null;
+		}
+		if (options.normalize !== undefined) {
+			target.normalize = options.normalize ? normalize.compile(options.normalize) : null;
+		}
+	}
+}
+
+// Get the value of an option for the specified probe.
+function _getOption(probe, name) {
+	return probe._options[name] === undefined ? _options[name] : probe._options[name];
+}
+
+// Get the normalization rules of the specified probe, which add to the
+// global ones. The merged rules are cached on the probe until either set of
+// rules is set again, since they are compiled anew when merged.
+function _getNormalize(probe) {
+	var cache = probe._mergedNormalize;
+	var own = probe._options.normalize || null;
+
+	if (!cache || cache.global !== _options.normalize || cache.own !== own) {
+		cache = probe._mergedNormalize = {
+			global: _options.normalize,
+			own: own,
+			rules: normalize.merge(_options.normalize, own)
+		};
 	}
+	return cache.rules;
 }
 
 /**
  * If a name is specified, the probe will only be matched against a probe
  * with the same name in the last run. Otherwise, probes are matched by
- * their positions in the `probes[fileName][]` array, in which probes are
- * ordered by their time of creation. For example, if you don't want the
- * probe to fire when N from the previous run is reached, simply specify
- * a different name when creating it.
+ * fingerprints generated from where they are created in the source (see
+ * `_getProbeFingerprint()`), or if that's not possible, by their positions
+ * in the `probes[fileName][]` array, in which probes are ordered by their
+ * time of creation. For example, if you don't want the probe to fire when
+ * N from the previous run is reached, simply specify a different name when
+ * creating it.
  *
  * There are also two types of probes: conditional and unconditional.
  * Unconditional probes only use method 1 (as described at the top) to
@@ -540,17 +1243,27 @@ function Probe(name, options) {
 	};
 	Object.defineProperties(this, {
 		_options: descriptor,
+		_mergedNormalize: descriptor,
 		_count: descriptor,
 		_target: descriptor,
 		_isConditional: descriptor,
 		_explicitType: descriptor,
 		_fired: descriptor,
+		_firings: descriptor,
 		_watches: descriptor,
 		_presult: descriptor,
+		_passes: descriptor,
+		_history: descriptor,
+		_trace: descriptor,
+		_context: descriptor,
+		_contexts: descriptor,
+		_divergence: descriptor,
 		_callsite: descriptor,
+		_fingerprint: descriptor,
 		_fileName: descriptor,
 		_index: descriptor,
-		_saved: descriptor
+		_saved: descriptor,
+		_savedRun: descriptor
 	});
 
 	this._options = {};
@@ -558,6 +1271,8 @@ function Probe(name, options) {
 
 	// Now parse probe-specific options
 	var clean;	// If true, don't try to load previously saved results. Default false.
+	var target;	// The passes to fire on, see `_setTargetAndType()`. Default none.
+	var baseline;	// The run to compare against, see `Probe.setBaseline()`.
 	if (options instanceof Object) {
 		// The "clean" option allows to start fresh for a specific probe,
 		// without affecting other probes.
@@ -566,25 +1281,40 @@ function Probe(name, options) {
 		} else {
 			clean = false;
 		}
+		target = options.target;
+		baseline = options.baseline;
 	}
 
 	this._count = 0;
-	this._target = 0;
+	this._target = target === undefined ? null : _parseTarget(target);
 	this._isConditional = false;
 	this._explicitType = false;
 
 	this._fired = false;
+	this._firings = [];
 	this._watches = {};
 
 	this._presult = true;
 
+	this._passes = 0;
+	this._history = null;
+	this._trace = null;
+	this._divergence = null;
+
+	this._context = null;
+	this._contexts = {};
+
 	if (!name) {
-		if (Probe.caller !== Probe.createProbe) {
-			// Record information on the caller for unnamed probes.
-			// However, if called from `Probe.createProbe()`, this property
-			// will be assigned there.
+		// Record information on the caller for unnamed probes. However,
+		// if called from `Probe.createProbe()`, the callsite here is the
+		// call in that method rather than the user call, which is passed
+		// in `creatingSite` instead.
+		if (Probe.caller === Probe.createProbe) {
+			this._callsite = creatingSite;
+		} else {
 			this._callsite = _getCallSite(2);
 		}
+		this._fingerprint = _getProbeFingerprint(this._callsite);
 	}
 
 	// Initialize _fileName if not already done.
@@ -602,46 +1332,39 @@ function Probe(name, options) {
 		this._index = 0;
 	}
 
-	if (!clean) {
-		// Load the previously saved results from this file, if existed and not
-		// already loaded.
-		var obj;
-		if (savedProbes[this._fileName] === undefined && fs.existsSync(this._fileName)) {
-			// If the filename isn't created from a specified profile name, then
-			// don't load from data files not modified in the last hour, because
-			// they probably belonged to the last debug session.
-			if (_profile || Date.now()-fs.statSync(this._fileName).mtime.getTime() <= 3600000) {
-				obj = {};
-				obj.probes = JSON.parse(fs.readFileSync(this._fileName).toString());
-				// Build an index for named probes.
-				obj.index = {};
-				for (var i = 0; i < obj.probes.length; i++) {
-					if (obj.probes[i].name) {
-						obj.index[obj.probes[i].name] = i;
-					}
-				}
-				savedProbes[this._fileName] = obj;
+	if (this._fingerprint) {
+		// Several probes may be created at the same location (eg, by
+		// `new Probe()` in a loop), they are told apart by their order.
+		var n = 0;
+		for (var k = 0; k < this._index; k++) {
+			if (probes[this._fileName][k]._fingerprint &&
+					probes[this._fileName][k]._fingerprint.split('#')[0] === this._fingerprint) {
+				n++;
 			}
 		}
+		if (n > 0) {
+			this._fingerprint += '#' + n;
+		}
+	}
 
-		// Find this probe's save from the last run, if existed.
-		obj = savedProbes[this._fileName];
+	if (!clean) {
+		// Load the previously saved results of the baseline run from this
+		// file, if existed and not already loaded.
+		var obj = _loadSavedRun(this._fileName, baseline);
+
+		// Find this probe's save from the baseline run, if existed.
 		if (obj) {
-			if (this.name) {
-				if (obj.index[this.name] !== undefined) {
-					this._saved = obj.probes[obj.index[this.name]];
-				}
-			} else {
-				if (this._index < obj.probes.length) {
-					this._saved = obj.probes[this._index];
-				}
-			}
+			this._savedRun = obj.run;
+			this._saved = store.matchProbe(obj, this, this._index);
 		}
 	}
 
 	// Finally, expose public methods more clearly.
 	this.fire = this.__proto__.fire;
 	this.watch = this.__proto__.watch;
+	this.watchNamed = this.__proto__.watchNamed;
+	this.watchCall = this.__proto__.watchCall;
+	this.snapshotScope = this.__proto__.snapshotScope;
 	this.test = this.__proto__.test;
 	this.ptest = this.__proto__.ptest;
 	this.pdone = this.__proto__.pdone;
@@ -667,7 +1390,7 @@ Probe.createProbe = function(name, options) {
 		_fileName = _getFileNameFromProfile(_profile, site);
 	}
 
-	var fileName = site.getFileName();
+	var fileName = _getSiteFileName(site);
 	var lineNumber = site.getLineNumber();
 	var columnNumber = site.getColumnNumber();
 	var key = [fileName, lineNumber, columnNumber, name, _fileName].join(':');
@@ -677,19 +1400,20 @@ Probe.createProbe = function(name, options) {
 		return createdProbes[key];
 	} else {
 		// Create and index the probe.
-		var probe = new Probe(name, options);
-
+		//
 		// When called inside this function, the `Probe()` constructor
 		// can't get the correct callsite object of the user call (but
-		// this call here instead), and therefore `probe._callsite` holds
-		// the wrong value.
+		// this call here instead), so we pass it in `creatingSite`.
 		//
 		// Also note that the code above to initialize `_fileName` makes
 		// sure it won't be initialized in `Probe()`, thus avoiding a
 		// similar problem.
-		if (!name) {
-			// Record information on the caller for unnamed probes.
-			probe._callsite = site;
+		creatingSite = site;
+		var probe;
+		try {
+			probe = new Probe(name, options);
+		} finally {
+			creatingSite = null;
 		}
 
 		createdProbes[key] = probe;
@@ -724,7 +1448,7 @@ function _hasCalled(arg/*, ...*/) {
 	var site = _getCallSite(3);
 
 	// Build the key.
-	var fileName = site.getFileName();
+	var fileName = _getSiteFileName(site);
 	var lineNumber = site.getLineNumber();
 	var columnNumber = site.getColumnNumber();
 	var parts = [fileName, lineNumber, columnNumber];
@@ -820,55 +1544,229 @@ Probe.cleanProfile = function(profile) {
 
 /**
  * This method clears all previous results stored under any profile name
- * by deleting all files in the temporary directory that look like files
- * saved by us.
+ * by deleting all profile files in the run store.
  */
 Probe.cleanAll = function() {
 	// Calling this method in a loop doesn't cause incorrect output,
 	// but we still want to avoid unnecessary disk ops.
 	if (_hasCalled() === false) {
-		var tmpDir = os.tmpdir();
-		var files = fs.readdirSync(tmpDir);
-		var regExp = /^.+_probes\.json$/i;
+		var profiles = store.listProfiles(_getStoreDir());
 
-		for (var i = 0; i < files.length; i++) {
-			var fileName = path.join(tmpDir, files[i]);
-			if (regExp.test(files[i]) && fs.statSync(fileName).isFile()) {
-				// Clear out the file's entry if it's already loaded. Setting
-				// it to `false` instead of `undefined` also makes sure we
-				// won't try to load it again in the process's lifetime.
-				savedProbes[fileName] = false;
-				fs.unlinkSync(fileName);
-			}
+		for (var i = 0; i < profiles.length; i++) {
+			// Clear out the file's entry if it's already loaded. Setting
+			// it to `false` instead of `undefined` also makes sure we
+			// won't try to load it again in the process's lifetime.
+			savedProbes[profiles[i].fileName] = false;
+			fs.unlinkSync(profiles[i].fileName);
 		}
 	}
 };
 
 /**
- * This method extracts all local variables declared in the specified
- * function(s) (through analyzing their sources with acorn) and prints
- * a `watch()` statement that watches all these variables (which you
- * can copy to your source files).
+ * This method sets the directory of the run store, in which probes created
+ * from this point on will store their results, and look for results of
+ * earlier runs. See `store.js` for details and the default.
  *
- * If no function is specified, the caller of this function is assumed.
+ * @param dir {string} the store directory.
+ * @param maxRuns {int} [optional] how many runs are kept for each profile.
+ *                      Default is 20.
+ */
+Probe.setStore = function(dir, maxRuns) {
+	dir = path.resolve(dir);
+	if (dir !== _storeDir) {
+		_storeDir = dir;
+		// `_fileName` will be generated again in the new store.
+		_fileName = undefined;
+	}
+	if (maxRuns > 0) {
+		_maxRuns = maxRuns;
+	}
+};
+
+/**
+ * This method sets which of the saved runs of a profile probes created from
+ * this point on are compared against. Individual probes can also be given
+ * a different baseline with the "baseline" option.
  *
- * This is a helper method and a workaround for the problem that we
- * can't automatically watch all local variables because there is no
- * programmatical access to the list of local variables in JavaScript.
+ * The baseline can be 'last' (the default), 'other-commit' (the latest run
+ * on a different commit than the current `HEAD`), `{commit: rev}` (the
+ * latest run on a commit, eg, `{commit: 'HEAD~1'}`, a SHA or a branch
+ * name), or the id of a run. See `store.selectRun()` for details.
  *
- * @param func {Function} [optional] function to extract local vars from.
+ * @param baseline {string|Object}
  */
-Probe.printWatchStmt = function printWatchStmt(func/*, ...*/) {
-	var locals;
-	if (arguments.length === 0) {
-		locals = ast.extractLocalVarsFromFunction(printWatchStmt.caller);
-	} else {
-		locals = ast.extractLocalVarsFromFunction.apply(ast, arguments);
+Probe.setBaseline = function(baseline) {
+	_baseline = baseline || 'last';
+};
+
+/**
+ * This method turns on the exception capture mode: when an uncaught
+ * exception is thrown, the local variables of each stack frame of the
+ * user's code are recorded (through the V8 inspector, see `inspector.js`),
+ * then printed and saved in the run before exit, under the profile of
+ * probes created at the place of this call (see `Probe.setProfile()`).
+ *
+ * If the run compared against (see `Probe.setBaseline()`) has recorded an
+ * exception, the frames are diff'ed against it frame by frame. And if this
+ * run doesn't throw, eg, it's on the good commit, the frames are instead
+ * recorded the first time execution passes the line that threw in that
+ * run (mapped to the current source by `git diff` if it's on a different
+ * commit) with the same functions on the stack. So a good run after a bad
+ * run shows how the locals of the frames that threw differ.
+ *
+ * This mode keeps the V8 inspector enabled, which slows down the program.
+ */
+Probe.captureExceptions = function() {
+	var obj, saved, hunks, root, line;
+
+	if (_exceptions) {
+		return;
 	}
+	if (_fileName === undefined) {
+		_fileName = _getFileNameFromProfile(_profile, _getCallSite(2));
+	}
+
+	obj = _loadSavedRun(_fileName);
+	saved = obj && obj.run.exception || null;
+	_exceptions = {fileName: _fileName, saved: saved, savedRun: obj ? obj.run : null, record: null};
+
+	inspector.watchExceptions(function(frames, message) {
+		// Only the first exception is recorded, which usually ends the
+		// process anyway.
+		if (!_exceptions.record || _exceptions.record.message === null) {
+			_exceptions.record = {message: message, frames: _recordFrames(frames)};
+		}
+	});
 
-	console.log("probe.watch(" + locals.join(",") + ");");
+	if (saved && saved.frames.length > 0) {
+		line = saved.frames[0].lineNumber;
+		root = git.getRepoRoot(process.cwd());
+		if (root && obj.run.commit) {
+			hunks = git.getChangedHunks(obj.run.commit, root);
+			line = git.mapLine(hunks && hunks.files[saved.frames[0].fileName], line);
+		}
+		inspector.watchLocation(saved.frames[0].fileName, line, function(frames) {
+			if (_exceptions.record || !_matchFrames(frames, saved.frames)) {
+				return !!_exceptions.record;
+			}
+			_exceptions.record = {message: null, frames: _recordFrames(frames)};
+			return true;
+		});
+	}
 };
 
+/**
+ * This method runs a function in a new async context, so that probes with
+ * the "perContext" option count passes in it separately. See `context.js`
+ * for details.
+ *
+ * @param func {Function} the function to run.
+ * @param key {string|int} [optional] the key that identifies the context.
+ *                         Contexts are numbered in their order of creation
+ *                         if not specified.
+ * @returns {*} the return value of `func`.
+ */
+Probe.runInContext = context.run;
+
+/**
+ * This method returns a function that calls `func` in a new async context
+ * every time it's called, eg, a request handler. See `context.js` for
+ * details.
+ *
+ * @param func {Function} the function to wrap.
+ * @param getKey {Function} [optional] returns the key of each new context
+ *                          from the wrapper's arguments.
+ * @returns {Function}
+ */
+Probe.bindContext = context.bind;
+
+/**
+ * This method analyzes the variables of the specified function(s) (through
+ * parsing their sources, see `ast.analyzeFunction()`) and prints a
+ * `watch()` statement that watches all these variables (which you can copy
+ * to your source files), grouped by their kinds: parameters, locals,
+ * block-scoped variables (eg, `let` in blocks, loop variables and `catch`
+ * parameters), and captured variables of enclosing scopes.
+ *
+ * If no function is specified, the function that calls this method is
+ * analyzed, which is found by the callsite, so it can be any function, eg,
+ * an arrow function, a method or a function in strict mode.
+ *
+ * The last argument can be an options object with the `at` field, which
+ * limits the variables to those live on a line, ie, in scope there (and
+ * declared before it, for `let`, `const` and classes), of the innermost
+ * function that contains the line. It's either `<file>:<line>`, where the
+ * file is relative to the working directory, or a line number in the
+ * caller's file. If functions are specified, it must be a line number
+ * counted from the first line of each function (ie, 1 for the line of its
+ * `function` keyword), and the variables of the function itself are
+ * limited, rather than those of the innermost function there.
+ *
+ * This is a helper method and a workaround for the problem that there
+ * is no programmatical access to the list of local variables in plain
+ * JavaScript. See `Probe.prototype.snapshotScope()` for watching them
+ * all through the V8 inspector instead.
+ *
+ * An error is thrown if the source of a function can't be parsed, eg, of
+ * a native or bound function, or if `at` isn't a line number when functions
+ * are specified.
+ *
+ * @param func {Function} [optional] function(s) to analyze.
+ * @param options {Object} [optional] see above.
+ */
+Probe.printWatchStmt = function printWatchStmt(/* [func, ...] [options] */) {
+	var funcs = Array.prototype.slice.call(arguments);
+	var options = {};
+	var groups = [];
+	var match, pos, fileName, line, offset, nodePath, func;
+	var i;
+
+	if (funcs.length > 0 && typeof funcs[funcs.length - 1] !== 'function') {
+		options = funcs.pop() || {};
+	}
+
+	if (funcs.length > 0) {
+		if (options.at !== undefined && typeof options.at !== 'number') {
+			throw new Error('The at option must be a line number counted from the first line of each function'
+						  + ' when functions are specified, not ' + options.at);
+		}
+		funcs.forEach(function(item) {
+			var parsed = ast.parseFunction(item);
+			if (!parsed.node) {
+				throw new Error("Can't parse the source of function " + (item.name || '<anonymous>')
+							  + ', eg, a native or bound function');
+			}
+			groups.push(ast.analyzeFunction(parsed.root, parsed.node, {line: options.at, partial: true}));
+		});
+	} else {
+		match = /^(.+):(\d+)$/.exec(options.at);
+		if (match) {
+			fileName = path.resolve(match[1]);
+			line = parseInt(match[2], 10);
+			_loadSource(fileName);
+			offset = _getOffset(fileName, line, 1);
+		} else {
+			pos = _getSourcePosition(_getCallSite(2));
+			fileName = pos.fileName;
+			line = options.at;
+			offset = line ? _getOffset(fileName, line, 1) : _getOffset(fileName, pos.lineNumber, pos.columnNumber);
+		}
+
+		// Find the innermost function that contains the line or the call,
+		// or the top level code.
+		nodePath = ast.getNodePath(astCache[fileName], offset);
+		func = astCache[fileName];
+		for (i = nodePath.length - 1; i >= 0; i--) {
+			if (ast.isFunction(nodePath[i])) {
+				func = nodePath[i];
+				break;
+			}
+		}
+		groups.push(ast.analyzeFunction(astCache[fileName], func, {line: line}));
+	}
+
+	console.log(_formatWatchStmt(groups));
+};
 
 Probe.prototype = {
 
@@ -876,6 +1774,12 @@ Probe.prototype = {
 	 * This method sets the target and optionally type of the probe. Setting
 	 * the target to 0 resets it.
 	 *
+	 * Besides a single pass, the target can be a set of passes, a range of
+	 * passes, or every K'th pass, see `_parseTarget()` for details. The probe
+	 * is fired on each of the targeted passes, and each firing is printed and
+	 * saved separately. The same target can also be set with the "target"
+	 * option when creating the probe.
+	 *
 	 * Notes:
 	 * 1. When the target is set, N from the previous run is ignored, and the
 	 *    probe will only fire either when the specified target is reached,
@@ -883,7 +1787,8 @@ Probe.prototype = {
 	 *    0 in will cause N from the previous run to be used again (if it
 	 *    hasn't been reached yet).
 	 * 2. Calling this method after the probe is already fired has no effect,
-	 *    as a fired probe is frozen.
+	 *    as a fired probe is frozen (unless there are more targeted passes
+	 *    to fire on).
 	 * 3. This method doesn't trigger `fire()` even if the specified `target`
 	 *    matches the current `count`. Additionally, in the next pass before
 	 *    `count` is compared with `target`, it'd have already been incremented,
@@ -891,12 +1796,12 @@ Probe.prototype = {
 	 * 4. Normally you don't need to call this method. It's named as an internal
 	 *    method to discourage usage.
 	 *
-	 * @param target {int}
+	 * @param target {int|Object|Array}
 	 * @param isConditional {boolean} [optional]
 	 */
 	_setTargetAndType: function(target, isConditional) {
 		if (this._fired === false) {
-			this._target = target;
+			this._target = _parseTarget(target);
 			if (isConditional !== undefined) {
 				this._isConditional = isConditional;
 				this._explicitType = true;
@@ -912,7 +1817,10 @@ Probe.prototype = {
 	 * also print the diff of the watched variables and expressions against
 	 * their old values.
 	 *
-	 * Once fired, the probe is frozen and calling methods on it has no effect.
+	 * Once fired, the probe is frozen and calling methods on it has no effect,
+	 * unless it's targeted at more passes (see `_setTargetAndType()`). Each
+	 * firing is recorded separately, and compared against the firing on the
+	 * same pass in the last run.
 	 *
 	 * This method is either called explicitly, or implicitly in two cases:
 	 * 1. In `watch()` (of unconditional probes), or `test()` or `pdone()` (of
@@ -920,99 +1828,74 @@ Probe.prototype = {
 	 *    matches either the `target` (in case it's explicitly set) or the saved
 	 *    count from a previous run.
 	 *
-	 * 2. In the process's "exit" event handler, all unfired probes are fired.
+	 * 2. In the process's "exit" event handler, all probes that haven't been
+	 *    fired yet are fired.
 	 *
 	 * In most cases, we don't need to call this method directly. It's for cases
 	 * where we don't want to throw an exception or exit the process when a bug
 	 * is encountered, or different probes need to be fired at different times.
+	 *
+	 * With the "scope" option, the variables in the scope of the caller (of
+	 * this method, or of the method that fires the probe) are added to the
+	 * watched values first, see `snapshotScope()`.
 	 */
 	fire: function() {
+		var scope, limits, i;
+
 		if (this._fired === false) {
 			this._fired = true;
 
-			// Check out the "diffOnly" and "colors" settings.
-			var diffOnly = this._options.diffOnly === undefined
-						 ? _options.diffOnly
-						 : this._options.diffOnly;
-			var colors = this._options.colors === undefined
-					   ? _options.colors
-					   : this._options.colors;
-
-			// Format strings
-			var headerStr =  ['\nProbe %s is fired on pass %s (%s, %s):',
-							  '\n\x1B[91mProbe %s\x1B[0m is fired on pass \x1B[91m%s\x1B[0m (%s, %s):'];
-			var infoStr =    ['i   defined in %s, Line %s',
-							  '\x1B[2mi   defined in %s, Line %s\x1B[0m'];
-			var changedStr = [' is changed',
-							  ' is \x1B[91mchanged\x1B[0m'];
-			var watchStr =   ['%s) Watch expr %s%s:',
-							  '\x1B[1m%s)\x1B[0m Watch expr \x1B[1m%s\x1B[0m%s:'];
-			var noWatchStr = ['*) No watch defined, nothing to print.',
-							  '\x1B[2m*) No watch defined, nothing to print.\x1B[0m'];
-			var idx = colors ? 1 : 0;
-
-			// Check whether data from the last run in the same context
-			// are available.
-			var saved = this._saved;
-			if (saved) {
-				// The watch values from the previous run are only usable
-				// if they were recorded in the same context.
-				if (saved._count !== this._count ||
-						saved._isConditional !== this._isConditional) {
-					saved = null;
-				}
+			// Record this firing. Watched values are snapshots that are
+			// replaced rather than modified, so a shallow copy is enough.
+			var firing = {
+				context: this._context,
+				count: this._count,
+				pass: this._passes,
+				reason: arguments[0] || 'calling fire()',
+				watches: {}
+			};
+			if (this._divergence) {
+				firing.divergence = this._divergence;
 			}
-
-			// Now print out the watched values and/or diffs.
-			console.log(headerStr[idx]
-					  , this.name || this._index + 1
-					  , this._count
-					  , arguments[0] || 'calling fire()'
-					  , this._isConditional ? 'conditional' : 'vanilla');
-
-			if (!this.name) {
-				// For unnamed probes, print a line to indicate where it was defined.
-				console.log(_lineBreak(util.format(infoStr[idx]
-												 , this._callsite.getFileName()
-												 , this._callsite.getLineNumber())));
-			}
-
-			var keys = Object.keys(this._watches);
-			if (keys.length > 0) {
-				var i;
-				for (i = 0; i < keys.length; i++) {
-					var compareText;
-					var diff = null;
-					if (saved && saved._watches[keys[i]]) {
-						// Watch value is available from the previous run.
-						diff = _generateObjectDiff(saved._watches[keys[i]]
-												 , this._watches[keys[i]]
-												 , colors);
-						compareText = diff.length > 0
-									? changedStr[idx]
-									: ' is unchanged';
-					} else {
-						// Watch value is not available from the previous run.
-						compareText = '';
-					}
-
-					console.log(watchStr[idx], i+1, keys[i], compareText);
-
-					if (!diff || !diffOnly) {
-						// In these situations we need to print the value.
-						console.log(_lineBreak('$   ' + util.inspect(this._watches[keys[i]])));
-					}
-
-					if (diff) {
-						// In this situation we need to print the diff.
-						if (diff.length > 0) {
-							console.log(diff.join('\n'));
-						}
+			Object.keys(this._watches).forEach(function(key) {
+				firing.watches[key] = this._watches[key];
+			}, this);
+			if (_getOption(this, 'scope')) {
+				scope = _captureScope();
+				limits = {
+					maxDepth: _getOption(this, 'maxDepth'),
+					maxSize: _getOption(this, 'maxSize')
+				};
+				for (i = 0; i < scope.names.length; i++) {
+					if (!firing.watches.hasOwnProperty(scope.names[i])) {
+						firing.watches[scope.names[i]] = snapshot.encode(scope.values[i], limits);
 					}
 				}
-			} else {
-				console.log(noWatchStr[idx]);
 			}
+			this._firings.push(firing);
+
+			// Now print out the watched values and/or diffs.
+			report.printFiring({
+				name: this.name || this._index + 1,
+				site: this.name ? null : {
+					fileName: _getSiteFileName(this._callsite),
+					lineNumber: this._callsite.getLineNumber()
+				},
+				isConditional: this._isConditional,
+				context: firing.context,
+				count: firing.count,
+				reason: firing.reason,
+				watches: firing.watches,
+				savedWatches: store.findSavedWatches(this._saved, this._isConditional, firing),
+				savedRun: this._savedRun,
+				divergence: firing.divergence,
+				history: _getHistory(this),
+				savedHistory: this._saved && this._saved._isConditional === this._isConditional
+							? this._saved._history
+							: null,
+				diffKeys: _getOption(this, 'diffKeys'),
+				normalize: _getNormalize(this)
+			}, _getOption(this, 'colors'), _getOption(this, 'diffOnly'));
 		}
 	},
 
@@ -1021,19 +1904,120 @@ Probe.prototype = {
 	 * on each call, and for unconditional probes, also increments `count`
 	 * and possibly fires the probe.
 	 *
+	 * The values are recorded as snapshots (limited by the "maxDepth" and
+	 * "maxSize" options), so changes made to them after this call don't
+	 * affect what's printed and saved when the probe is fired.
+	 *
 	 * @param expr {*} any variable or expression value.
 	 */
 	watch: function(expr/*, ...*/) {
 		if (this._fired === false) {
-			var names = _getWatchNames();
-			for (var i = 0; i < arguments.length; i++) {
-				this._watches[names[i]] = arguments[i];
+			this.watchNamed(_getWatchNames(), arguments);
+		}
+	},
+
+	/**
+	 * This method watches a call of a function, for probes that instrument
+	 * whole functions (see `register.js`). Each call is a pass of the probe,
+	 * in which the watched values are the arguments, named after the
+	 * parameters, and either `return`, the return value, or `throw`, the
+	 * error thrown.
+	 *
+	 * The arguments are recorded when this method is called at the start of
+	 * the call, so changes made to them by the function don't show. The pass
+	 * ends when the returned function is called at the end of the call,
+	 * which can be many times (eg, in a `finally` block), but only the first
+	 * time counts. Like `watch()`, passes of unconditional probes are counted.
+	 *
+	 * @param names {Array} the names of the parameters.
+	 * @param args {Array|Object} the arguments, eg, `arguments`.
+	 * @returns {Function} to be called at the end of the call, with two
+	 *                     arguments, 'return' or 'throw', and the return
+	 *                     value or the error. It returns the latter.
+	 */
+	watchCall: function(names, args) {
+		var probe = this;
+		var watches = {};
+		var done = false;
+		var limits = {
+			maxDepth: _getOption(this, 'maxDepth'),
+			maxSize: _getOption(this, 'maxSize')
+		};
+		var i;
+
+		if (this._fired === false) {
+			for (i = 0; i < args.length; i++) {
+				watches[i < names.length ? names[i] : 'arguments[' + i + ']'] = snapshot.encode(args[i], limits);
+			}
+		}
+
+		return function(kind, value) {
+			if (done || probe._fired) {
+				return value;
+			}
+			done = true;
+
+			_enterContext(probe);
+			watches[kind] = snapshot.encode(value, limits);
+			probe._watches = watches;
+
+			if (probe._isConditional === false) {
+				probe._count++;
+				_recordPass(probe, null);
+				_checkCount(probe);
+				_checkDivergence(probe);
+			}
+			return value;
+		};
+	},
+
+	/**
+	 * This method is the same as `watch()`, except that it watches all the
+	 * variables in the scope chain of its caller, ie, the local variables
+	 * and the variables of enclosing functions and blocks (but not global
+	 * ones), so none of them needs to be listed by hand. They are read
+	 * through an in-process session of the V8 inspector, see `inspector.js`.
+	 *
+	 * This pauses the program briefly on each pass until the probe is
+	 * fired, so it's slower than `watch()` in hot loops. If the inspector
+	 * isn't available, nothing is watched, but the pass is still counted.
+	 */
+	snapshotScope: function() {
+		var scope;
+
+		if (this._fired === false) {
+			scope = _captureScope();
+			this.watchNamed(scope.names, scope.values);
+		}
+	},
+
+	/**
+	 * This method is the same as `watch()`, except that names of the watched
+	 * values are specified, rather than taken from the source of the call.
+	 * It's used by code that's generated, eg, probes injected at load time
+	 * (see `register.js`), whose source isn't in the file.
+	 *
+	 * @param names {Array} the names of watched values.
+	 * @param values {Array} the watched values.
+	 */
+	watchNamed: function(names, values) {
+		if (this._fired === false) {
+			_enterContext(this);
+
+			var limits = {
+				maxDepth: _getOption(this, 'maxDepth'),
+				maxSize: _getOption(this, 'maxSize')
+			};
+			for (var i = 0; i < values.length; i++) {
+				this._watches[names[i]] = snapshot.encode(values[i], limits);
 			}
 
 			// Update count iff this is an unconditional probe.
 			if (this._isConditional === false) {
 				this._count++;
+				_recordPass(this, null);
 				_checkCount(this);
+				_checkDivergence(this);
 			}
 		}
 	},
@@ -1051,6 +2035,8 @@ Probe.prototype = {
 	 */
 	test: function(cond/*, ...*/) {
 		if (this._fired === false) {
+			_enterContext(this);
+
 			// Convert the probe to conditional and reset `count` if needed.
 			_testCalled(this);
 
@@ -1063,8 +2049,12 @@ Probe.prototype = {
 
 			if (result) {
 				this._count++;
+			}
+			_recordPass(this, result);
+			if (result) {
 				_checkCount(this);
 			}
+			_checkDivergence(this);
 
 		}
 	},
@@ -1084,6 +2074,8 @@ Probe.prototype = {
 	 */
 	ptest: function(cond/*, ...*/) {
 		if (this._fired === false) {
+			_enterContext(this);
+
 			// Convert the probe to conditional and reset `count` if needed.
 			_testCalled(this);
 
@@ -1105,13 +2097,19 @@ Probe.prototype = {
 	 */
 	pdone: function() {
 		if (this._fired === false) {
+			_enterContext(this);
+
 			// Convert the probe to conditional and reset `count` if needed.
 			_testCalled(this);
 
 			if (this._presult) {
 				this._count++;
+			}
+			_recordPass(this, this._presult);
+			if (this._presult) {
 				_checkCount(this);
 			}
+			_checkDivergence(this);
 
 			// Reset `_presult`.
 			this._presult = true;
@@ -1141,30 +2139,57 @@ process.on('exit', function(code) {
 		for (i = 0; i < files.length; i++) {
 			plist = probes[files[i]];
 			for (j = 0; j < plist.length; j++) {
-				if (plist[j]._fired === false) {
+				if (plist[j]._fired === false && plist[j]._firings.length === 0) {
 					plist[j].fire(reason);
 				}
 			}
+		}
+
+		// Print the recorded exception, which is saved with the probes of
+		// its profile, if any.
+		if (_exceptions && _exceptions.record) {
+			report.printFrames(_exceptions.record, _exceptions.saved, _exceptions.savedRun
+							 , _options.colors, _options.diffOnly, _options);
+			if (files.indexOf(_exceptions.fileName) === -1) {
+				files.push(_exceptions.fileName);
+			}
+		}
 
-			// Stringify plist and write to file.
-			fs.writeFileSync(files[i], JSON.stringify(plist, function(key, value) {
-				if (value instanceof Object) {
-					if (value._watches && value.propertyIsEnumerable('_watches')===false) {
-						// This is a probe instance.
-						// Only these 4 properties need to be stored in file.
-						return {
-							name: value.name,
-							_count: value._count,
-							_isConditional: value._isConditional,
-							_watches: value._watches
-						}
-					}
-				}
-				return value;
-			}));
+		for (i = 0; i < files.length; i++) {
+			plist = probes[files[i]] || [];
+
+			// Add a run to the file, see `store.js`. Only these 10 properties
+			// of each probe need to be stored, and watched values are already
+			// snapshots, which survive the JSON round trip. So do the
+			// normalization rules, which `diffbug` applies to the run, and
+			// the site of an unnamed probe, which it prints with the firings
+			// (the file relative to the repository, which may have been a
+			// temporary worktree).
+			store.appendRun(files[i], store.createRun(
+				plist.map(function(probe) {
+					var rules = _getNormalize(probe);
+					return {
+						name: probe.name,
+						_fingerprint: probe._fingerprint || undefined,
+						_site: probe.name ? undefined : {
+							fileName: _getSourceIdentity(_getSiteFileName(probe._callsite)),
+							lineNumber: probe._callsite.getLineNumber()
+						},
+						_count: probe._count,
+						_isConditional: probe._isConditional,
+						_watches: probe._watches,
+						_history: _getHistory(probe),
+						_trace: probe._trace || undefined,
+						_firings: probe._firings,
+						_normalize: rules ? rules.rules : undefined
+					};
+				}),
+				_exceptions && _exceptions.fileName === files[i] ? _exceptions.record : null
+			), _maxRuns);
 		}
 	}
 });
 
 Probe.annotateStackTrace = git.annotateStackTrace;
+Probe.renderAnnotation = annotation.render;
 module.exports = Probe;
@@ -0,0 +1,299 @@
+/**
+ * This module injects the probes declared in the configuration file (see
+ * `config.js`) into the program, by instrumenting the source of modules
+ * as they are loaded. It's preloaded with either option of Node.js:
+ *
+ *     node --require diffbug/lib/register app.js
+ *     node --import diffbug/lib/register.js app.js
+ *
+ * Since the probes aren't in the source files, the same configuration works
+ * unchanged on any commit, eg, on both the good and the bad commit. Only
+ * CommonJS modules are instrumented: `--import` only lets it be preloaded
+ * in the same way, and injects nothing into ES modules. A warning is printed
+ * at exit for each file of probes that wasn't loaded as a CommonJS module.
+ *
+ * At the line of each probe, code like the following is inserted:
+ *
+ *     try { __diffbug__.hit(0, [total, item.price], [total > 10]); }
+ *     catch (__diffbug_e__) { __diffbug__.fail(0, __diffbug_e__); }
+ *
+ * So a watch expression that throws, eg, on an undefined variable, doesn't
+ * change the behavior of the program, but skips the pass.
+ *
+ * In addition, if the `changed` field of the configuration or the
+ * `DIFFBUG_CHANGED` environment variable is set to a revision, every
+ * function that contains lines changed since that commit (see
+ * `git.getChangedHunks()`) is wrapped as an implicit probe, which watches
+ * the arguments, and the return value or the error thrown, of each call
+ * (see `Probe.prototype.watchCall()` and `instrument.wrapFunction()`). These
+ * probes are named by the file and the function, eg, `lib/cart.js:Cart>add`,
+ * so they are matched across commits even if lines move, and have the
+ * "diverge" option set, so the second run fires them at the first call
+ * that differs from the first run.
+ *
+ * The `exceptions` field of the configuration, or the `DIFFBUG_EXCEPTIONS`
+ * environment variable, turns on `Probe.captureExceptions()`.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var Module = require('module');
+var Probe = require('./probe');
+var git = require('./git');
+var config = require('./config');
+var instrument = require('./instrument');
+var ast = require('./ast');
+
+// The name of the global object that instrumented code calls.
+var GLOBAL_NAME = '__diffbug__';
+
+// The default base of the changed functions mode.
+var DEFAULT_CHANGED = 'HEAD~1';
+
+/**
+ * This function generates the code inserted for a probe, see above.
+ *
+ * @param item {Object} the probe, see `config.js`.
+ * @param index {int} its index in the configuration.
+ * @returns {string}
+ * @private
+ */
+function _generateCode(item, index) {
+	return 'try { ' + GLOBAL_NAME + '.hit(' + index
+		 + ', [' + item.watch.join(', ') + ']'
+		 + (item.test.length > 0 ? ', [' + item.test.join(', ') + ']' : '')
+		 + '); } catch (__diffbug_e__) { ' + GLOBAL_NAME + '.fail(' + index + ', __diffbug_e__); }';
+}
+
+/**
+ * This function returns the watch name of a parameter of a function, which
+ * is its name without the default value or `...`, so it doesn't change
+ * with the default value. Destructuring patterns are named by their
+ * positions, eg, `arguments[1]`, like arguments beyond the parameters (see
+ * `Probe.prototype.watchCall()`).
+ *
+ * @param param {Object} the parameter node.
+ * @param index {int} its index in the parameters.
+ * @returns {string}
+ * @private
+ */
+function _paramName(param, index) {
+	if (param.type === 'AssignmentPattern' || param.type === 'RestElement') {
+		return _paramName(param.left || param.argument, index);
+	}
+	return param.type === 'Identifier' ? param.name : 'arguments[' + index + ']';
+}
+
+/**
+ * This function returns an expression of the value of a parameter of a
+ * function, to be watched by its implicit probe. Arrow functions don't have
+ * `arguments`, so their parameters are read by their names; a destructuring
+ * pattern is read as an object of the names it binds.
+ *
+ * @param param {Object} the parameter node.
+ * @returns {string} the expression.
+ * @private
+ */
+function _paramValue(param) {
+	if (param.type === 'AssignmentPattern' || param.type === 'RestElement') {
+		return _paramValue(param.left || param.argument);
+	}
+	if (param.type === 'Identifier') {
+		return param.name;
+	}
+	return '{' + ast.getBoundNames(param).map(function(name) {
+		return name + ': ' + name;
+	}).join(', ') + '}';
+}
+
+/**
+ * This function wraps the functions of a module that contain changed lines
+ * as implicit probes, see above.
+ *
+ * @param content {string} the source of the module.
+ * @param relPath {string} its path relative to the top level of the
+ *                         repository, used in the names of the probes.
+ * @param hunks {Array} its changed lines, see `git.parseDiff()`.
+ * @param calls {Array} the implicit probes, to which those of this module
+ *                      are added. The index of a probe in it is passed to
+ *                      `__diffbug__.call()` by the instrumented code.
+ * @returns {string} the instrumented source.
+ * @private
+ */
+function _wrapChangedFunctions(content, relPath, hunks, calls) {
+	var funcs = instrument.findChangedFunctions(instrument.parse(content, relPath), hunks);
+	var edits = [];
+	var names = {};
+
+	funcs.forEach(function(func) {
+		var name = relPath + ':' + func.name;
+
+		// Tell apart functions of the same qualified name.
+		names[name] = (names[name] || 0) + 1;
+		if (names[name] > 1) {
+			name += '#' + names[name];
+		}
+
+		calls.push({
+			name: name,
+			params: func.node.params.map(_paramName)
+		});
+		edits = edits.concat(instrument.wrapFunction(func.node,
+			GLOBAL_NAME + '.call(' + (calls.length - 1) + ', ' + (func.node.type === 'ArrowFunctionExpression'
+				? '[' + func.node.params.map(_paramValue).join(', ') + ']' : 'arguments') + ')'));
+	});
+
+	return instrument.applyEdits(content, edits);
+}
+
+/**
+ * This function returns the default profile name for a configuration file,
+ * which is built from the name of the package next to it (if any) and its
+ * path relative to the top level of the repository (or its directory name
+ * outside of a repository), eg, `shop_packages_api_diffbug.json`. Like
+ * automatic profiles, it doesn't depend on where the repository is checked
+ * out, but it's different for each project sharing a store.
+ *
+ * @param fileName {string} the configuration file.
+ * @returns {string}
+ * @private
+ */
+function _getDefaultProfile(fileName) {
+	var dir = path.dirname(fileName);
+	var root = git.getRepoRoot(dir);
+	var parts = path.relative(root || path.dirname(dir), fileName).split(path.sep);
+	var pkg;
+
+	try {
+		pkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json')).toString());
+		if (pkg.name) {
+			parts.unshift(pkg.name);
+		}
+	} catch (e) {
+		// No package, or not a valid one.
+	}
+
+	return parts.map(function(part) {
+		return part.replace(/^\.+/, '');
+	}).join('_').replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * This function installs the hook that instruments modules, and the global
+ * object called by instrumented code.
+ *
+ * @param conf {Object} the configuration, see `config.load()`.
+ */
+function install(conf) {
+	var byFile = {};
+	var loaded = {};
+	var warned = {};
+	var calls = [];
+	var compile = Module.prototype._compile;
+	var changed = null;
+	var callOptions = {diverge: true};
+
+	if (conf.options) {
+		Probe.setOptions(conf.options);
+	}
+	// Without a profile, the automatic one would be named after the callsite
+	// of the probes, which is in this file for every project. Without a
+	// configuration file, the profile is named as if it were in the working
+	// directory.
+	Probe.setProfile(conf.profile || _getDefaultProfile(conf.fileName || path.join(process.cwd(), '.diffbug.json')));
+	if (conf.baseline) {
+		Probe.setBaseline(conf.baseline);
+	}
+	if (conf.exceptions) {
+		Probe.captureExceptions();
+	}
+
+	// Group the probes by files.
+	conf.probes.forEach(function(item, index) {
+		byFile[item.fileName] = byFile[item.fileName] || [];
+		byFile[item.fileName].push({line: item.line, code: _generateCode(item, index), item: item});
+	});
+
+	if (conf.changed) {
+		changed = git.getChangedHunks(conf.changed === true ? DEFAULT_CHANGED : conf.changed, process.cwd());
+		if (!changed) {
+			console.warn('diffbug: can\'t get the changes since %s, no function is instrumented', conf.changed);
+		}
+	}
+
+	global[GLOBAL_NAME] = {
+		hit: function(index, values, conds) {
+			var item = conf.probes[index];
+			var probe = Probe.createProbe(item.name, item.options);
+			probe.watchNamed(item.watch, values);
+			if (conds) {
+				probe.test.apply(probe, conds);
+			}
+		},
+
+		fail: function(index, e) {
+			var item = conf.probes[index];
+			if (!warned[index]) {
+				warned[index] = true;
+				console.warn('diffbug: probe %s failed, skipping the pass: %s', item.name, e && e.message);
+			}
+		},
+
+		call: function(index, args) {
+			var item = calls[index];
+			return Probe.createProbe(item.name, callOptions).watchCall(item.params, args);
+		}
+	};
+
+	Module.prototype._compile = function(content, fileName) {
+		var result, relPath;
+
+		if (changed) {
+			relPath = path.relative(changed.root, fileName).split(path.sep).join('/');
+			if (changed.files[relPath]) {
+				try {
+					content = _wrapChangedFunctions(content, relPath, changed.files[relPath], calls);
+				} catch (e) {
+					console.warn('diffbug: can\'t instrument the changed functions of %s: %s', relPath, e.message);
+				}
+			}
+		}
+		if (byFile[fileName]) {
+			loaded[fileName] = true;
+			result = instrument.insertAtLines(content, byFile[fileName]);
+			result.missing.forEach(function(point) {
+				console.warn('diffbug: no statement starts at %s, probe %s is ignored'
+						   , point.item.at
+						   , point.item.name);
+			});
+			content = result.source;
+		}
+		return compile.call(this, content, fileName);
+	};
+
+	process.on('exit', function() {
+		Object.keys(byFile).forEach(function(fileName) {
+			if (!loaded[fileName]) {
+				console.warn('diffbug: %s wasn\'t loaded as a CommonJS module, its probes weren\'t injected'
+						   , path.relative(process.cwd(), fileName));
+			}
+		});
+	});
+}
+
+var conf = config.load(process.cwd());
+if (process.env.DIFFBUG_CHANGED) {
+	conf = conf || {probes: []};
+	conf.changed = process.env.DIFFBUG_CHANGED;
+}
+if (process.env.DIFFBUG_EXCEPTIONS) {
+	conf = conf || {probes: []};
+	conf.exceptions = true;
+}
+if (conf) {
+	install(conf);
+}
+
+module.exports = {
+	install: install
+};
@@ -0,0 +1,553 @@
+/**
+ * This module prints probes' results to the console: the watched values
+ * of firings, and diffs against values saved in an earlier run. It's used
+ * both by probes when they are fired, and by the `diffbug` command to
+ * print saved runs.
+ */
+
+var util = require('util');
+var snapshot = require('./snapshot');
+var structdiff = require('./structdiff');
+var normalize = require('./normalize');
+var annotation = require('./annotation');
+
+/**
+ * This function takes a string to be printed to the console, and formats
+ * it so that when it wraps, 4 spaces are prepended to the next line to
+ * make it more readable.
+ *
+ * The input string can contain color sequences which take spaces in the
+ * string, but not in the printed output. So this function must be able
+ * to deal with them.
+ *
+ * @param str {string} the input string.
+ * @returns {string} the output string.
+ */
+function lineBreak(str) {
+	var result = '';
+	var consoleColumns = process.stdout.columns;
+
+	// As an optimization, if the length of str (including color sequences)
+	// doesn't exceed the console's width, this is definitely an one-liner.
+	if (str.length <= consoleColumns) {
+		return str;
+	}
+
+	// The start index in `str` of the current line.
+	var start = 0;
+	// The number of actual characters counted into the current line.
+	var ct = 0;
+	// Whether we are inside a color sequence.
+	var inSeq = false;
+
+	for (var i = 0; i < str.length; i++) {
+		if (str[i] === '\x1B') {
+			inSeq = true;
+		} else if (inSeq) {
+			if (str[i] === 'm') {
+				inSeq = false;
+			}
+		} else {
+			ct++;
+			if (str[i] === '\n' || ct === consoleColumns) {
+				// We have finished counting a line.
+				if (start) {
+					// This isn't the first line, prepend '\n' and 4 spaces.
+					result += '\n    ';
+				} else {
+					// This is the first line, all subsequent lines must leave
+					// space for the 4 spaces prepended.
+					consoleColumns -= 4;
+				}
+				// Add the line to the result.
+				if (str[i] === '\n') {
+					// The line break is triggered by a '\n', don't include
+					// it into the resulting string.
+					result += str.substring(start, i);
+				} else {
+					result += str.substring(start, i + 1);
+				}
+				start = i + 1;
+				ct = 0;
+			}
+		}
+	}
+
+	// Add the last line to the result.
+	if (start) {
+		// This isn't the first line, prepend '\n' and 4 spaces.
+		result += '\n    ';
+	}
+	result += str.substring(start);
+
+	return result;
+}
+
+/**
+ * This function diffs two snapshots (see `snapshot.js`) with
+ * `structdiff.js` and generates a nice-looking diff (inspired by file
+ * diffs) from the result.
+ *
+ * The snapshots are first converted with `snapshot.diffable()`, so values
+ * are compared with their types (dates, maps, sets, `undefined`, NaN, etc.)
+ * and class names intact. Elements of arrays and sets are aligned, so that
+ * inserted, removed and moved elements are reported as such, rather than
+ * changing the elements after them. Normalization rules (see
+ * `normalize.js`) are applied to both before they're compared.
+ *
+ * @param a {*} diff operand 1, a snapshot.
+ * @param b {*} diff operand 2, a snapshot.
+ * @param colors {boolean} whether to colorize the output.
+ * @param paths {Array} [optional] if provided, the paths of all changes
+ *                      are pushed into it ('' for the operands themselves).
+ * @param options {Object} [optional] an object with these fields, all
+ *                         optional:
+ *                         1. name: the watch name, which the paths of
+ *                            identity keys and normalization rules start
+ *                            with.
+ *                         2. diffKeys: the identity keys of elements, see
+ *                            `structdiff.keysOf()`.
+ *                         3. normalize: the compiled normalization rules,
+ *                            see `normalize.compile()`.
+ *                         4. hidden: if provided, and changes are hidden by
+ *                            the normalization rules, an object with two
+ *                            fields is pushed into it: `count`, the number
+ *                            of changes fewer than without them, and
+ *                            `rules`, the kinds of rules applied, eg,
+ *                            ['ignore', 'replace'].
+ * @returns {Array} empty if equal, otherwise a list of changes.
+ */
+function generateObjectDiff(a, b, colors, paths, options) {
+	var result = [];
+	var name = options && options.name || '';
+	var rules = options && options.normalize;
+	var keys = structdiff.keysOf(options && options.diffKeys, name);
+	var treeA = snapshot.diffable(a);
+	var treeB = snapshot.diffable(b);
+	var applied = {};
+	var changes, hidden;
+
+	// Format strings
+	var changeStr =  ['*   %s = %s -> %s',
+					  '\x1B[36m*   %s\x1B[0m = \x1B[31m%s\x1B[0m -> \x1B[32m%s\x1B[0m'];
+	var changeStr2 = ['*   %s -> %s',
+					  '\x1B[36m*\x1B[0m   \x1B[31m%s\x1B[0m -> \x1B[32m%s\x1B[0m'];
+	var moveStr =    ['*   %s = %s (moved from %s)',
+					  '\x1B[36m*   %s\x1B[0m = %s (moved from \x1B[36m%s\x1B[0m)'];
+	var removeStr =  ['-   %s = %s',
+					  '\x1B[31m-   %s\x1B[0m = \x1B[31m%s\x1B[0m'];
+	var addStr =     ['+   %s = %s',
+					  '\x1B[32m+   %s\x1B[0m = \x1B[32m%s\x1B[0m'];
+	var idx = colors ? 1 : 0;
+
+	// Leaves of the diffable trees are already display strings, subtrees
+	// are displayed like snapshots.
+	function text(node) {
+		return typeof node === 'string' ? node : snapshot.format(node);
+	}
+
+	if (rules) {
+		changes = structdiff.diff(normalize.apply(treeA, rules, name, applied),
+								  normalize.apply(treeB, rules, name, applied), keys).filter(function(change) {
+			if (change.type === 'change' && normalize.withinTolerance(rules, name, change.path, change.removed, change.added)) {
+				applied.tolerance = true;
+				return false;
+			}
+			return true;
+		});
+
+		// Count the changes that normalization removes. Paths of the changes
+		// can't be matched against those without it, since ignored elements
+		// and unordered arrays change the indexes of the others.
+		if (options.hidden) {
+			hidden = structdiff.diff(treeA, treeB, keys).length - changes.length;
+			if (hidden > 0) {
+				options.hidden.push({count: hidden, rules: Object.keys(applied)});
+			}
+		}
+	} else {
+		changes = structdiff.diff(treeA, treeB, keys);
+	}
+
+	changes.forEach(function(change) {
+		if (paths) {
+			paths.push(change.path);
+		}
+		if (change.type === 'change') {
+			if (change.path) {
+				result.push(lineBreak(util.format(changeStr[idx], change.path, text(change.removed), text(change.added))));
+			} else {
+				result.push(lineBreak(util.format(changeStr2[idx], text(change.removed), text(change.added))));
+			}
+		} else if (change.type === 'move') {
+			result.push(lineBreak(util.format(moveStr[idx], change.path, text(change.value), change.from)));
+		} else if (change.type === 'remove') {
+			result.push(lineBreak(util.format(removeStr[idx], change.path, text(change.value))));
+		} else {
+			result.push(lineBreak(util.format(addStr[idx], change.path, text(change.value))));
+		}
+	});
+
+	return result;
+}
+
+/**
+ * This function returns the display text of a pass (or count) in an async
+ * context, eg, `5 of context #3` for pass 5 in the third unnamed context.
+ *
+ * @param key {string|int|null} key of the async context.
+ * @param pass {int}
+ * @returns {string}
+ */
+function formatPass(key, pass) {
+	if (key === null || key === undefined) {
+		return String(pass);
+	}
+	return pass + ' of context ' + (typeof key === 'number' ? '#' + key : util.inspect(key));
+}
+
+/**
+ * This function returns the display text of a saved run, eg,
+ * `20240101T000000000Z-42 (commit 1a2b3c4, dirty)`.
+ *
+ * @param run {Object} see `store.createRun()`.
+ * @returns {string}
+ */
+function formatRun(run) {
+	var info = [];
+	if (run.commit) {
+		info.push('commit ' + run.commit.substr(0, 7));
+	}
+	if (run.dirty) {
+		info.push('dirty');
+	}
+	return run.id + (info.length > 0 ? ' (' + info.join(', ') + ')' : '');
+}
+
+/**
+ * This function formats the line that tells the changes hidden by
+ * normalization rules, see `generateObjectDiff()`.
+ *
+ * @param hidden {Array} the objects pushed by `generateObjectDiff()`.
+ * @param colors {boolean} whether to colorize the output.
+ * @returns {string|null} null if nothing is hidden.
+ * @private
+ */
+function _formatHidden(hidden, colors) {
+	var hiddenStr = ['n   %s hidden by normalization (%s)',
+					 '\x1B[2mn   %s hidden by normalization (%s)\x1B[0m'];
+	var count = 0;
+	var rules = [];
+
+	hidden.forEach(function(item) {
+		count += item.count;
+		item.rules.forEach(function(rule) {
+			if (rules.indexOf(rule) === -1) {
+				rules.push(rule);
+			}
+		});
+	});
+	if (count === 0) {
+		return null;
+	}
+	return util.format(hiddenStr[colors ? 1 : 0], count === 1 ? '1 change' : count + ' changes', rules.join(', '));
+}
+
+/**
+ * This function prints watched values, and their diffs against the values
+ * saved in an earlier run, if available.
+ *
+ * @param watches {Object} the watched values (snapshots).
+ * @param savedWatches {Object|null} the saved values.
+ * @param colors {boolean} whether to colorize the output.
+ * @param diffOnly {boolean} whether to print only diffs of values that are
+ *                           available in the earlier run.
+ * @param diffOptions {Object} [optional] an object with two fields, both
+ *                             optional: `diffKeys` and `normalize`, see
+ *                             `generateObjectDiff()`.
+ * @param omitUnchanged {boolean} [optional] whether to leave out the values
+ *                                that are unchanged from the earlier run.
+ * @private
+ */
+function _printWatches(watches, savedWatches, colors, diffOnly, diffOptions, omitUnchanged) {
+	// Format strings
+	var changedStr = [' is changed',
+					  ' is \x1B[91mchanged\x1B[0m'];
+	var watchStr =   ['%s) Watch expr %s%s:',
+					  '\x1B[1m%s)\x1B[0m Watch expr \x1B[1m%s\x1B[0m%s:'];
+	var noWatchStr = ['*) No watch defined, nothing to print.',
+					  '\x1B[2m*) No watch defined, nothing to print.\x1B[0m'];
+	var idx = colors ? 1 : 0;
+	var keys = Object.keys(watches);
+	var i, hidden;
+
+	diffOptions = diffOptions || {};
+	if (keys.length > 0) {
+		for (i = 0; i < keys.length; i++) {
+			var compareText;
+			var diff = null;
+			hidden = [];
+			if (savedWatches && savedWatches.hasOwnProperty(keys[i])) {
+				// Watch value is available from the previous run.
+				diff = generateObjectDiff(savedWatches[keys[i]]
+										, watches[keys[i]]
+										, colors
+										, null
+										, {name: keys[i], diffKeys: diffOptions.diffKeys
+										 , normalize: diffOptions.normalize, hidden: hidden});
+				compareText = diff.length > 0
+							? changedStr[idx]
+							: ' is unchanged';
+			} else {
+				// Watch value is not available from the previous run.
+				compareText = '';
+			}
+
+			console.log(watchStr[idx], i+1, keys[i], compareText);
+
+			if (!diff || !(diffOnly || (omitUnchanged && diff.length === 0))) {
+				// In these situations we need to print the value.
+				console.log(lineBreak('$   ' + snapshot.format(watches[keys[i]])));
+			}
+
+			if (diff) {
+				// In this situation we need to print the diff.
+				if (diff.length > 0) {
+					console.log(diff.join('\n'));
+				}
+				if (_formatHidden(hidden, colors)) {
+					console.log(_formatHidden(hidden, colors));
+				}
+			}
+		}
+	} else {
+		console.log(noWatchStr[idx]);
+	}
+}
+
+/**
+ * This function prints a firing of a probe, ie, its watched values, and
+ * if the values of the same pass in an earlier run are available, also
+ * the diffs against them.
+ *
+ * The firing is described by an object with the following fields:
+ * 1. name: the name of the probe, or its position (starting from 1) if
+ *    it's unnamed.
+ * 2. site: [optional] where an unnamed probe is defined, an object with
+ *    two fields, `fileName` and `lineNumber`.
+ * 3. isConditional: whether the probe is conditional.
+ * 4. context, count, reason: see the firing records of `Probe.fire()`.
+ * 5. watches: the watched values (snapshots).
+ * 6. savedWatches: [optional] the watched values of the same pass in the
+ *    earlier run.
+ * 7. savedRun: [optional] the earlier run, see `store.createRun()`.
+ * 8. divergence: [optional] see `_checkDivergence()` of `probe.js`.
+ * 9. history: [optional] the pass history, see `_recordPass()` of
+ *    `probe.js`, ordered from the oldest pass to the latest.
+ * 10. savedHistory: [optional] the pass history saved in the earlier run.
+ * 11. diffKeys: [optional] the identity keys of elements in watched values,
+ *     eg, `{'users[*]': 'id'}`, see `structdiff.diff()`.
+ * 12. normalize: [optional] the compiled normalization rules applied to
+ *     watched values before they're diff'ed, see `normalize.js`.
+ *
+ * @param firing {Object} see above.
+ * @param colors {boolean} whether to colorize the output.
+ * @param diffOnly {boolean} whether to print only diffs of values that are
+ *                           available in the earlier run.
+ */
+function printFiring(firing, colors, diffOnly) {
+	// Format strings
+	var headerStr =  ['\nProbe %s is fired on pass %s (%s, %s):',
+					  '\n\x1B[91mProbe %s\x1B[0m is fired on pass \x1B[91m%s\x1B[0m (%s, %s):'];
+	var infoStr =    ['i   defined in %s, Line %s',
+					  '\x1B[2mi   defined in %s, Line %s\x1B[0m'];
+	var baselineStr = ['b   compared against run %s',
+					  '\x1B[2mb   compared against run %s\x1B[0m'];
+	var changedStr = [' is changed',
+					  ' is \x1B[91mchanged\x1B[0m'];
+	var divergeStr = ['d) Diverged from the last run at pass %s in: %s',
+					  '\x1B[1md)\x1B[0m Diverged from the last run at pass \x1B[91m%s\x1B[0m in: \x1B[36m%s\x1B[0m'];
+	var unreachedStr = ['d) Diverged from the last run at pass %s, which it never reached',
+						'\x1B[1md)\x1B[0m Diverged from the last run at pass \x1B[91m%s\x1B[0m, which it never reached'];
+	var historyStr = ['h) History of the last %s passes:',
+					  '\x1B[1mh)\x1B[0m History of the last \x1B[1m%s\x1B[0m passes:'];
+	var passStr =    ['~   Pass %s%s%s:',
+					  '\x1B[1m~   Pass %s\x1B[0m%s%s:'];
+	var testStr =    [[' (test failed, count %s)', ' (test passed, count %s)'],
+					  [' (test \x1B[2mfailed\x1B[0m, count %s)', ' (test \x1B[1mpassed\x1B[0m, count %s)']];
+	var idx = colors ? 1 : 0;
+	var savedWatches = firing.savedWatches;
+	var i;
+
+	console.log(headerStr[idx]
+			  , firing.name
+			  , formatPass(firing.context, firing.count)
+			  , firing.reason
+			  , firing.isConditional ? 'conditional' : 'vanilla');
+
+	if (firing.site) {
+		// For unnamed probes, print a line to indicate where it was defined.
+		console.log(lineBreak(util.format(infoStr[idx]
+										, firing.site.fileName
+										, firing.site.lineNumber)));
+	}
+
+	if (savedWatches && firing.savedRun) {
+		// Print a line to indicate which saved run it's compared against.
+		console.log(baselineStr[idx], formatRun(firing.savedRun));
+	}
+
+	if (firing.divergence) {
+		// The probe is fired by `_checkDivergence()`.
+		if (firing.divergence.paths) {
+			console.log(lineBreak(util.format(divergeStr[idx]
+											, formatPass(firing.context, firing.divergence.pass)
+											, firing.divergence.paths.join(', '))));
+		} else {
+			console.log(unreachedStr[idx], formatPass(firing.context, firing.divergence.pass));
+		}
+	}
+
+	_printWatches(firing.watches, savedWatches, colors, diffOnly, firing);
+
+	// Print the pass history as a timeline, diff'ing each pass against the
+	// same pass in the earlier run if available.
+	var history = firing.history || [];
+	if (history.length > 0) {
+		var savedHistory = {};
+		var entry;
+		if (firing.savedHistory) {
+			for (i = 0; i < firing.savedHistory.length; i++) {
+				entry = firing.savedHistory[i];
+				savedHistory[typeof entry.context + ':' + entry.context + ':' + entry.pass] = entry;
+			}
+		}
+
+		console.log(historyStr[idx], history.length);
+		for (i = 0; i < history.length; i++) {
+			entry = history[i];
+			var savedEntry = savedHistory[typeof entry.context + ':' + entry.context + ':' + entry.pass];
+			var watchKeys = Object.keys(entry.watches);
+			var diffs = [];
+			var changed = false;
+			var hidden = [];
+
+			for (var j = 0; j < watchKeys.length; j++) {
+				diffs[j] = null;
+				if (savedEntry && savedEntry.watches.hasOwnProperty(watchKeys[j])) {
+					diffs[j] = generateObjectDiff(savedEntry.watches[watchKeys[j]]
+												, entry.watches[watchKeys[j]]
+												, colors
+												, null
+												, {name: watchKeys[j], diffKeys: firing.diffKeys
+												 , normalize: firing.normalize, hidden: hidden});
+					if (diffs[j].length > 0) {
+						changed = true;
+					}
+				}
+			}
+
+			console.log(passStr[idx]
+					  , formatPass(entry.context, entry.pass)
+					  , entry.passed === null
+							? ''
+							: util.format(testStr[idx][entry.passed ? 1 : 0], entry.count)
+					  , savedEntry ? (changed ? changedStr[idx] : ' is unchanged') : '');
+
+			for (j = 0; j < watchKeys.length; j++) {
+				if (!diffs[j] || !diffOnly) {
+					console.log(lineBreak('    ' + watchKeys[j] + ' = '
+										+ snapshot.format(entry.watches[watchKeys[j]])));
+				} else if (diffs[j].length > 0) {
+					console.log('    ' + watchKeys[j] + ':');
+				}
+				if (diffs[j] && diffs[j].length > 0) {
+					console.log('    ' + diffs[j].join('\n    '));
+				}
+			}
+			if (_formatHidden(hidden, colors)) {
+				console.log('    ' + _formatHidden(hidden, colors));
+			}
+		}
+	}
+}
+
+/**
+ * This function prints the local variables of the stack frames recorded on
+ * an uncaught exception (see `Probe.captureExceptions()`), each under a
+ * line in the layout `git.annotateStackTrace()` uses for callsites. If the
+ * same frames are recorded in an earlier run, ie, the frames have the same
+ * functions in the same files, the variables are diff'ed against them
+ * frame by frame, and those unchanged are only listed by name.
+ *
+ * @param exception {Object} the recorded exception, an object with two
+ *                           fields: `message`, the message of the exception
+ *                           (null if the frames are recorded when passed
+ *                           without throwing), and `frames`, each of which
+ *                           has the fields `functionName`, `fileName`,
+ *                           `lineNumber`, `columnNumber` and `watches`.
+ * @param saved {Object|null} the exception recorded in the earlier run.
+ * @param savedRun {Object|null} the earlier run, see `store.createRun()`.
+ * @param colors {boolean} whether to colorize the output.
+ * @param diffOnly {boolean} whether to print only diffs of values that are
+ *                           available in the earlier run.
+ * @param diffOptions {Object} [optional] an object with two fields, both
+ *                             optional: `diffKeys` and `normalize`, see
+ *                             `printFiring()`.
+ */
+function printFrames(exception, saved, savedRun, colors, diffOnly, diffOptions) {
+	// Format strings
+	var thrownStr =  ['\nLocals of stack frames on uncaught exception: %s',
+					  '\n\x1B[91mLocals of stack frames\x1B[0m on uncaught exception: \x1B[1m%s\x1B[0m'];
+	var passedStr =  ['\nLocals of stack frames of the saved exception, passed without throwing:',
+					  '\n\x1B[91mLocals of stack frames\x1B[0m of the saved exception, passed without throwing:'];
+	var baselineStr = ['b   compared against run %s',
+					  '\x1B[2mb   compared against run %s\x1B[0m'];
+	var frameStr =   ['%s -> %s in %s (%d:%d)',
+					  '\x1B[1m%s ->\x1B[21;%sm%s\x1B[49;90m in \x1B[%sm%s\x1B[0m (\x1B[1m%d:%d\x1B[0m)'];
+	var fileColors = {};
+	var idx = colors ? 1 : 0;
+	var frame, savedFrame, color, i;
+
+	if (exception.message === null) {
+		console.log(passedStr[idx]);
+	} else {
+		console.log(thrownStr[idx], exception.message);
+	}
+	if (saved && savedRun) {
+		console.log(baselineStr[idx], formatRun(savedRun));
+	}
+
+	for (i = 0; i < exception.frames.length; i++) {
+		frame = exception.frames[i];
+		savedFrame = saved && saved.frames[i];
+		if (savedFrame && (savedFrame.fileName !== frame.fileName ||
+				savedFrame.functionName !== frame.functionName)) {
+			savedFrame = null;
+		}
+
+		if (fileColors[frame.fileName] === undefined) {
+			fileColors[frame.fileName] = Object.keys(fileColors).length % annotation.FILE_COLORS.length;
+		}
+		color = fileColors[frame.fileName];
+
+		console.log('');
+		if (colors) {
+			console.log(frameStr[1], i + 1, annotation.FILE_COLORS[color], frame.functionName
+					  , annotation.FILE_COLORS2[color], frame.fileName, frame.lineNumber, frame.columnNumber);
+		} else {
+			console.log(frameStr[0], i + 1, frame.functionName, frame.fileName
+					  , frame.lineNumber, frame.columnNumber);
+		}
+		_printWatches(frame.watches, savedFrame ? savedFrame.watches : null, colors, diffOnly, diffOptions, true);
+	}
+}
+
+module.exports = {
+	lineBreak: lineBreak,
+	generateObjectDiff: generateObjectDiff,
+	formatPass: formatPass,
+	formatRun: formatRun,
+	printFiring: printFiring,
+	printFrames: printFrames
+};
@@ -0,0 +1,618 @@
+/**
+ * This module implements the snapshot format in which watched values are
+ * stored in the `_probes.json` files.
+ *
+ * Plain `JSON.stringify()` is a poor fit for debugging data: `undefined`,
+ * NaN, Infinity, dates, regular expressions, maps, sets, buffers, typed
+ * arrays and big integers are either dropped or flattened into something
+ * else, class instances lose their names, and circular structures make it
+ * throw. A snapshot is a JSON-safe tree that keeps all of this information,
+ * so that values recorded in one run can be faithfully compared against
+ * those in another.
+ *
+ * Format: JSON-safe primitives (strings, booleans, null and finite numbers
+ * other than -0) and arrays are stored as themselves. Everything else is
+ * stored as a tagged object of the form `{"$t": <tag>, ...}`. Plain objects
+ * are stored as themselves too, unless they happen to have a `$t` key, in
+ * which case they are wrapped in an `Object` tag.
+ *
+ * Every container (array, object, map, set, error) is assigned an id in
+ * the order they are visited, and any later occurrence of the same container
+ * (eg, a circular reference) is stored as a `Ref` tag pointing to that id.
+ * Since `decode()` visits the tree in the same order, it can rebuild the
+ * same references without storing the ids in the tree.
+ *
+ * Snapshots can be limited in depth and size, in which case containers
+ * beyond the limits are stored as `Truncated` tags, which only record their
+ * class names and numbers of entries.
+ */
+
+var util = require('util');
+
+
+// Maps class names to fake prototypes used to rebuild class instances, so
+// that they are displayed with their original class names.
+var fakePrototypes = {};
+
+// The key used to store class names in the trees built by `diffable()`.
+var CLASS_KEY = '[[Class]]';
+
+// The most containers `diffable()` expands again for shared references.
+var MAX_SHARED_NODES = 10000;
+
+/**
+ * This function returns the class name of an object, or null if it's a
+ * plain object.
+ *
+ * @param obj {Object}
+ * @returns {string|null}
+ * @private
+ */
+function _getClassName(obj) {
+	var proto = Object.getPrototypeOf(obj);
+	if (proto === null || proto === Object.prototype) {
+		return null;
+	}
+	if (proto.constructor && proto.constructor.name) {
+		return proto.constructor.name;
+	}
+	return 'Object';
+}
+
+/**
+ * This function returns a prototype object whose constructor has the
+ * specified name, creating it if necessary.
+ *
+ * @param name {string}
+ * @returns {Object}
+ * @private
+ */
+function _getFakePrototype(name) {
+	if (fakePrototypes[name] === undefined) {
+		var ctor = function() {};
+		Object.defineProperty(ctor, 'name', {value: name});
+		fakePrototypes[name] = ctor.prototype;
+	}
+	return fakePrototypes[name];
+}
+
+// Encode the bytes of a buffer-like object in base64.
+function _toBase64(bytes) {
+	return Buffer.from(bytes).toString('base64');
+}
+
+/**
+ * Instances of this class stand for truncated containers in decoded values,
+ * and are displayed like the ones truncated by `util.inspect()`, eg, as
+ * `[Object]` or `[Array]`.
+ *
+ * @param className {string}
+ * @param count {int} number of entries in the original container.
+ * @constructor
+ * @private
+ */
+function Truncated(className, count) {
+	this.className = className;
+	this.count = count;
+}
+
+Truncated.prototype.toString = function() {
+	return '[' + this.className + ']';
+};
+
+// Display truncated containers as their texts in `util.inspect()`.
+Truncated.prototype[util.inspect.custom] = Truncated.prototype.toString;
+
+// Returns the number of entries in a container.
+function _countEntries(value) {
+	if (typeof value.length === 'number') {
+		return value.length;
+	}
+	if (typeof value.size === 'number') {
+		return value.size;
+	}
+	return Object.keys(value).length;
+}
+
+// Check whether a snapshot node is a container, ie, one that is assigned
+// an id by `encode()`, or a reference to such a node.
+function _isContainer(node) {
+	if (node === null || typeof node !== 'object') {
+		return false;
+	}
+	return Array.isArray(node) || node.$t === undefined || node.$t === 'Map' || node.$t === 'Set'
+		|| node.$t === 'Error' || node.$t === 'Object' || node.$t === 'Ref';
+}
+
+// Decode base64 text into a Buffer.
+function _fromBase64(text) {
+	return Buffer.from(text, 'base64');
+}
+
+/**
+ * This function takes any value and returns its snapshot, which can be
+ * safely passed to `JSON.stringify()`.
+ *
+ * The snapshot is a deep copy, so later changes to the value don't affect it.
+ *
+ * Available options:
+ * 1. maxDepth: containers nested deeper than this are truncated. The value
+ *              itself is at depth 0. 0 (the default) means no limit.
+ * 2. maxSize: maximum number of values (including nested ones) to record.
+ *             Containers whose entries don't fit in what remains of it are
+ *             truncated. 0 (the default) means no limit.
+ *
+ * @param value {*} the value to take snapshot of.
+ * @param options {Object} [optional] see above for details.
+ * @returns {*} the snapshot.
+ */
+function encode(value, options) {
+	var maxDepth = Infinity;
+	var budget = Infinity;
+	if (options instanceof Object) {
+		if (options.maxDepth > 0) {
+			maxDepth = options.maxDepth;
+		}
+		if (options.maxSize > 0) {
+			budget = options.maxSize;
+		}
+	}
+
+	// Containers already visited, and their ids.
+	var seen = new Map();
+	var nextId = 0;
+
+	function lookup(value) {
+		return seen.has(value) ? seen.get(value) : -1;
+	}
+
+	function visit(value, depth) {
+		var type = typeof value;
+		var keys, result, i, id, entries;
+
+		budget--;
+
+		if (value === null || type === 'string' || type === 'boolean') {
+			return value;
+		}
+		if (type === 'number') {
+			if (isFinite(value) && (value !== 0 || 1 / value > 0)) {
+				return value;
+			}
+			// NaN, Infinity, -Infinity and -0.
+			return {$t: 'Number', v: (value === 0 ? '-0' : String(value))};
+		}
+		if (type === 'undefined') {
+			return {$t: 'undefined'};
+		}
+		if (type === 'bigint') {
+			return {$t: 'BigInt', v: value.toString()};
+		}
+		if (type === 'symbol') {
+			return {$t: 'Symbol', v: String(value).slice(7, -1)};
+		}
+		if (type === 'function') {
+			return {$t: 'Function', v: value.name || ''};
+		}
+
+		// Now we are dealing with objects.
+		id = lookup(value);
+		if (id >= 0) {
+			return {$t: 'Ref', v: id};
+		}
+
+		if (value instanceof Date) {
+			return {$t: 'Date', v: isNaN(value.getTime()) ? null : value.getTime()};
+		}
+		if (value instanceof RegExp) {
+			return {$t: 'RegExp', v: value.source, f: String(value).slice(value.source.length + 2)};
+		}
+		// A getter of `length` or `size` may throw, which is recorded like
+		// one of a property.
+		try {
+			entries = _countEntries(value);
+		} catch (e) {
+			return {$t: 'Unreadable', v: String(e && e.message)};
+		}
+		// Truncate the value if it's beyond the limits. Dates and regular
+		// expressions above are always cheap to record.
+		if (depth > maxDepth || entries > budget) {
+			return {$t: 'Truncated', c: Array.isArray(value) ? 'Array' : _getClassName(value) || 'Object',
+					n: entries};
+		}
+
+		if (Buffer.isBuffer(value)) {
+			return {$t: 'Buffer', v: _toBase64(value)};
+		}
+		if (value instanceof ArrayBuffer) {
+			return {$t: 'ArrayBuffer', v: _toBase64(new Uint8Array(value))};
+		}
+		if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+			result = [];
+			for (i = 0; i < value.length; i++) {
+				result.push(visit(value[i], depth + 1));
+			}
+			return {$t: 'TypedArray', c: _getClassName(value), v: result};
+		}
+
+		// Containers from this point on.
+		id = nextId++;
+		seen.set(value, id);
+
+		if (Array.isArray(value)) {
+			result = [];
+			for (i = 0; i < value.length; i++) {
+				result.push(visit(value[i], depth + 1));
+			}
+			return result;
+		}
+		if (value instanceof Map) {
+			result = [];
+			value.forEach(function(v, k) {
+				result.push([visit(k, depth + 1), visit(v, depth + 1)]);
+			});
+			return {$t: 'Map', v: result};
+		}
+		if (value instanceof Set) {
+			result = [];
+			value.forEach(function(v) {
+				result.push(visit(v, depth + 1));
+			});
+			return {$t: 'Set', v: result};
+		}
+
+		result = {};
+		keys = Object.keys(value);
+		for (i = 0; i < keys.length; i++) {
+			try {
+				result[keys[i]] = visit(value[keys[i]], depth + 1);
+			} catch (e) {
+				// A getter may throw, record the error message instead.
+				result[keys[i]] = {$t: 'Unreadable', v: String(e && e.message)};
+			}
+		}
+
+		if (value instanceof Error) {
+			return {$t: 'Error', c: _getClassName(value) || 'Error', m: String(value.message), v: result};
+		}
+
+		var className = _getClassName(value);
+		if (className || result.$t !== undefined) {
+			result = {$t: 'Object', v: result};
+			if (className) {
+				result.c = className;
+			}
+		}
+		return result;
+	}
+
+	return visit(value, 0);
+}
+
+/**
+ * This function rebuilds a value from its snapshot. The result has the
+ * same types, structure and references as the original value, except that
+ * class instances are recreated as objects with fake prototypes (which
+ * only carry the class names), and functions as empty functions.
+ *
+ * @param snapshot {*} a snapshot returned from `encode()`.
+ * @returns {*} the rebuilt value.
+ */
+function decode(snapshot) {
+	return _decode(snapshot, 0);
+}
+
+/**
+ * This function implements `decode()`. When decoding a subtree of a
+ * snapshot, `firstId` is the id of its root node, and references to
+ * containers outside the subtree are decoded as placeholder strings.
+ *
+ * @param snapshot {*}
+ * @param firstId {int}
+ * @returns {*}
+ * @private
+ */
+function _decode(snapshot, firstId) {
+	var containers = [];
+
+	function visitProps(target, props) {
+		var keys = Object.keys(props);
+		for (var i = 0; i < keys.length; i++) {
+			target[keys[i]] = visit(props[keys[i]]);
+		}
+		return target;
+	}
+
+	function visit(node) {
+		var result, i;
+
+		if (node === null || typeof node !== 'object') {
+			return node;
+		}
+
+		if (Array.isArray(node)) {
+			result = [];
+			containers.push(result);
+			for (i = 0; i < node.length; i++) {
+				result.push(visit(node[i]));
+			}
+			return result;
+		}
+
+		switch (node.$t) {
+		case undefined:
+			result = {};
+			containers.push(result);
+			return visitProps(result, node);
+		case 'undefined':
+			return undefined;
+		case 'Number':
+			return node.v === '-0' ? -0 : Number(node.v);
+		case 'BigInt':
+			return BigInt(node.v);
+		case 'Symbol':
+			return Symbol(node.v);
+		case 'Function':
+			result = function() {};
+			Object.defineProperty(result, 'name', {value: node.v});
+			return result;
+		case 'Ref':
+			if (node.v < firstId) {
+				return '[Circular]';
+			}
+			return containers[node.v - firstId];
+		case 'Date':
+			return new Date(node.v === null ? NaN : node.v);
+		case 'RegExp':
+			return new RegExp(node.v, node.f);
+		case 'Buffer':
+			return _fromBase64(node.v);
+		case 'ArrayBuffer':
+			result = _fromBase64(node.v);
+			return new Uint8Array(result).buffer.slice(result.byteOffset, result.byteOffset + result.length);
+		case 'TypedArray':
+			result = [];
+			for (i = 0; i < node.v.length; i++) {
+				result.push(visit(node.v[i]));
+			}
+			return typeof global[node.c] === 'function' ? new global[node.c](result) : result;
+		case 'Map':
+			result = new Map();
+			containers.push(result);
+			for (i = 0; i < node.v.length; i++) {
+				result.set(visit(node.v[i][0]), visit(node.v[i][1]));
+			}
+			return result;
+		case 'Set':
+			result = new Set();
+			containers.push(result);
+			for (i = 0; i < node.v.length; i++) {
+				result.add(visit(node.v[i]));
+			}
+			return result;
+		case 'Error':
+			result = new Error(node.m);
+			if (node.c !== 'Error') {
+				result.name = node.c;
+			}
+			containers.push(result);
+			return visitProps(result, node.v);
+		case 'Object':
+			result = node.c ? Object.create(_getFakePrototype(node.c)) : {};
+			containers.push(result);
+			return visitProps(result, node.v);
+		case 'Unreadable':
+			return '[Unreadable: ' + node.v + ']';
+		case 'Truncated':
+			return new Truncated(node.c, node.n);
+		default:
+			return undefined;
+		}
+	}
+
+	return visit(snapshot);
+}
+
+/**
+ * This function converts a snapshot into a tree that can be compared with
+ * a generic object differ, such as `structdiff.js`.
+ *
+ * In the resulting tree, all leaves are strings containing the display text
+ * of the original value (eg, `'abc'` for a string, `NaN` for NaN), so values
+ * of different types never compare equal. Class instances, maps and sets
+ * have their class names stored under the `[[Class]]` key, and map entries
+ * are keyed by `[<display text of the key>]`. Every non-leaf node also has
+ * a non-enumerable `$snapshot` property pointing back to the snapshot it
+ * was built from, so it can be displayed with `format()`.
+ *
+ * References to containers that are being visited, ie, ancestors, are
+ * replaced with `[Circular ~<path>]`. Other references are only to shared
+ * containers, which are expanded again where they are referenced, so a
+ * value compares equal whether its parts are shared or copies. After
+ * `MAX_SHARED_NODES` containers are expanded this way, the rest are
+ * replaced with `[Shared ~<path of the first occurrence>]`.
+ *
+ * @param snapshot {*} a snapshot returned from `encode()`.
+ * @returns {*} the comparable tree.
+ */
+function diffable(snapshot) {
+	// Snapshot nodes and paths of the first occurrences of containers, and
+	// paths of those being visited, indexed by their ids.
+	var nodes = [];
+	var paths = [];
+	var ancestors = [];
+	var nextId = 0;
+	var sharedNodes = 0;
+	var expanding = false;
+
+	function container(target, node, path) {
+		Object.defineProperties(target, {
+			$snapshot: {value: node},
+			$id: {value: nextId}
+		});
+		if (expanding) {
+			sharedNodes++;
+		} else {
+			nodes[nextId] = node;
+			paths[nextId] = path;
+		}
+		ancestors[nextId] = path;
+		nextId++;
+		return target;
+	}
+
+	function childPath(path, key) {
+		if (/^\d+$/.test(key)) {
+			return path + '[' + key + ']';
+		}
+		return key[0] === '[' ? path + key : path + '.' + key;
+	}
+
+	function visitProps(target, props, path) {
+		var keys = Object.keys(props);
+		for (var i = 0; i < keys.length; i++) {
+			target[keys[i]] = visit(props[keys[i]], childPath(path, keys[i]));
+		}
+		return target;
+	}
+
+	// Expand a shared container again. Its nested containers are assigned
+	// the same ids as before, so `format()` displays it the same way.
+	function visitShared(id, path) {
+		var savedId = nextId;
+		var savedExpanding = expanding;
+		var result;
+
+		if (sharedNodes >= MAX_SHARED_NODES) {
+			return '[Shared ~' + paths[id] + ']';
+		}
+		nextId = id;
+		expanding = true;
+		result = visit(nodes[id], path);
+		nextId = savedId;
+		expanding = savedExpanding;
+		return result;
+	}
+
+	function visit(node, path) {
+		var id = nextId;
+		var result;
+
+		if (!_isContainer(node)) {
+			return format(node);
+		}
+		if (node.$t === 'Ref') {
+			if (ancestors[node.v] !== undefined) {
+				return '[Circular ~' + ancestors[node.v] + ']';
+			}
+			return visitShared(node.v, path);
+		}
+
+		result = visitContainer(node, path);
+		ancestors[id] = undefined;
+		return result;
+	}
+
+	function visitContainer(node, path) {
+		var result, i, key;
+
+		if (Array.isArray(node)) {
+			result = container([], node, path);
+			for (i = 0; i < node.length; i++) {
+				result.push(visit(node[i], path + '[' + i + ']'));
+			}
+			return result;
+		}
+
+		switch (node.$t) {
+		case undefined:
+			return visitProps(container({}, node, path), node, path);
+		case 'Map':
+			result = container({}, node, path);
+			result[CLASS_KEY] = 'Map';
+			for (i = 0; i < node.v.length; i++) {
+				if (_isContainer(node.v[i][0])) {
+					// Object keys are identified by their positions. They
+					// must still be visited to keep container ids in sync.
+					key = '[<key ' + i + '>]';
+					if (node.v[i][0].$t !== 'Ref') {
+						visit(node.v[i][0], path + key);
+					}
+				} else {
+					key = '[' + format(node.v[i][0]) + ']';
+				}
+				result[key] = visit(node.v[i][1], path + key);
+			}
+			return result;
+		case 'Set':
+			result = container({}, node, path);
+			result[CLASS_KEY] = 'Set';
+			for (i = 0; i < node.v.length; i++) {
+				result[i] = visit(node.v[i], path + '[' + i + ']');
+			}
+			return result;
+		case 'Error':
+			result = container({}, node, path);
+			result[CLASS_KEY] = node.c;
+			result.message = format(node.m);
+			return visitProps(result, node.v, path);
+		default:
+			result = container({}, node, path);
+			if (node.c) {
+				result[CLASS_KEY] = node.c;
+			}
+			return visitProps(result, node.v, path);
+		}
+	}
+
+	return visit(snapshot, '');
+}
+
+/**
+ * This function returns the display text of a snapshot, or of a (sub)tree
+ * built by `diffable()`.
+ *
+ * @param snapshot {*}
+ * @returns {string}
+ */
+function format(snapshot) {
+	var i, text;
+	var firstId = 0;
+
+	if (snapshot !== null && typeof snapshot === 'object' && snapshot.$snapshot !== undefined) {
+		firstId = snapshot.$id;
+		snapshot = snapshot.$snapshot;
+	}
+
+	if (typeof snapshot === 'string') {
+		return util.inspect(snapshot, {maxStringLength: Infinity});
+	}
+
+	if (snapshot !== null && typeof snapshot === 'object') {
+		switch (snapshot.$t) {
+		case 'BigInt':
+			return snapshot.v + 'n';
+		case 'Buffer':
+			text = _fromBase64(snapshot.v).toString('hex').replace(/(..)(?!$)/g, '$1 ');
+			return '<Buffer ' + text + '>';
+		case 'TypedArray':
+			text = [];
+			for (i = 0; i < snapshot.v.length; i++) {
+				text.push(format(snapshot.v[i]));
+			}
+			return snapshot.c + ' [' + text.join(', ') + ']';
+		case 'Unreadable':
+			return '[Unreadable: ' + snapshot.v + ']';
+		}
+	}
+
+	return util.inspect(_decode(snapshot, firstId), {depth: null, maxArrayLength: null});
+}
+
+module.exports = {
+	CLASS_KEY: CLASS_KEY,
+	encode: encode,
+	decode: decode,
+	diffable: diffable,
+	format: format
+};
@@ -0,0 +1,254 @@
+/**
+ * This module reads the source maps of generated files (eg, compiled by
+ * TypeScript or Babel, or bundled), and maps positions in them back to the
+ * original sources, so that callsites can be located in the files we
+ * wrote, and in their diffs.
+ *
+ * The source map of a file is found by its last `sourceMappingURL` comment,
+ * either an inline `data:` URL, or the path of a map file relative to the
+ * generated file. Index maps (with `sections`) aren't supported.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+
+var BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Dictionary. Key: generated file name. Value: its parsed source map (see
+// `_readMap()`), or null if it doesn't have one.
+var mapCache = {};
+
+// Dictionary. Key: original file name. Value: its content embedded in a
+// source map (`sourcesContent`).
+var contentCache = {};
+
+/**
+ * This function decodes the `mappings` field of a source map.
+ *
+ * @param mappings {string}
+ * @returns {Array} the segments of each generated line, each of which is
+ *                  an array of the generated column, and, if it's mapped,
+ *                  the index of the source, and the original line and
+ *                  column (all starting from 0). Segments are in the order
+ *                  of their columns.
+ * @private
+ */
+function _decodeMappings(mappings) {
+	var result = [];
+	// The fields of the last segment, which the fields of the next one are
+	// relative to. Only the generated column is reset on each line.
+	var state = [0, 0, 0, 0, 0];
+	var lines = mappings.split(';');
+	var segments, fields, value, shift, digit;
+	var i, j, k;
+
+	for (i = 0; i < lines.length; i++) {
+		state[0] = 0;
+		segments = [];
+		result.push(segments);
+		if (!lines[i]) {
+			continue;
+		}
+
+		lines[i].split(',').forEach(function(segment) {
+			fields = [];
+			value = 0;
+			shift = 0;
+			for (k = 0; k < segment.length; k++) {
+				digit = BASE64.indexOf(segment[k]);
+				value += (digit & 31) << shift;
+				if (digit & 32) {
+					shift += 5;
+				} else {
+					// The lowest bit is the sign.
+					fields.push(value & 1 ? -(value >>> 1) : value >>> 1);
+					value = 0;
+					shift = 0;
+				}
+			}
+			for (j = 0; j < fields.length; j++) {
+				state[j] += fields[j];
+			}
+			segments.push(state.slice(0, fields.length >= 4 ? 4 : 1));
+		});
+		segments.sort(function(a, b) {
+			return a[0] - b[0];
+		});
+	}
+	return result;
+}
+
+/**
+ * This function converts a `file:` URL, eg, the file name of a callsite in
+ * an ES module, to a path. Other file names, and URLs that aren't valid on
+ * this platform (eg, with a host other than `localhost` outside Windows),
+ * are returned as is.
+ *
+ * @param fileName {string} the file name or URL.
+ * @returns {string} the path.
+ */
+function toFilePath(fileName) {
+	if (typeof fileName === 'string' && /^file:\/\//.test(fileName)) {
+		try {
+			return url.fileURLToPath(fileName);
+		} catch (e) {
+			// Not a path on this platform.
+		}
+	}
+	return fileName;
+}
+
+/**
+ * This function resolves a source of a source map to a file name. URLs
+ * with other schemes than `file:` (eg, `webpack:///./src/app.ts`) are
+ * taken as paths relative to the map.
+ *
+ * @param source {string} the source.
+ * @param sourceRoot {string} the `sourceRoot` field of the map.
+ * @param dir {string} the directory of the map.
+ * @returns {string}
+ * @private
+ */
+function _resolveSource(source, sourceRoot, dir) {
+	source = (sourceRoot ? sourceRoot.replace(/\/?$/, '/') : '') + source;
+	if (/^file:\/\//.test(source)) {
+		return toFilePath(source);
+	}
+	// Strip the scheme and the host.
+	source = source.replace(/^[a-z][a-z0-9+.-]*:\/\/[^\/]*\/?/i, '');
+	return path.resolve(dir, source);
+}
+
+/**
+ * This function reads the source map of a generated file.
+ *
+ * @param fileName {string} the generated file.
+ * @returns {Object|null} an object with two fields: `sources`, the file
+ *                        names of the original sources, and `lines`, see
+ *                        `_decodeMappings()`. Null if the file doesn't have
+ *                        a source map.
+ * @private
+ */
+function _readMap(fileName) {
+	var content = fs.readFileSync(fileName).toString();
+	var regExp = /(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s*]+)/g;
+	var match, url, last, mapFile, comma, data, raw;
+
+	while ((match = regExp.exec(content))) {
+		last = match;
+	}
+	if (!last) {
+		return null;
+	}
+
+	url = last[1];
+	if (/^data:/.test(url)) {
+		comma = url.indexOf(',');
+		data = url.substring(comma + 1);
+		if (/;base64$/.test(url.substring(0, comma))) {
+			data = Buffer.from(data, 'base64').toString();
+		} else {
+			data = decodeURIComponent(data);
+		}
+		mapFile = fileName;
+	} else {
+		mapFile = path.resolve(path.dirname(fileName), decodeURIComponent(url));
+		data = fs.readFileSync(mapFile).toString();
+	}
+
+	raw = JSON.parse(data);
+	if (raw.sections || !(raw.sources instanceof Array)) {
+		return null;
+	}
+
+	return {
+		sources: raw.sources.map(function(source, index) {
+			var resolved = _resolveSource(source, raw.sourceRoot, path.dirname(mapFile));
+			if (raw.sourcesContent && typeof raw.sourcesContent[index] === 'string') {
+				contentCache[resolved] = raw.sourcesContent[index];
+			}
+			return resolved;
+		}),
+		lines: _decodeMappings(raw.mappings || '')
+	};
+}
+
+/**
+ * This function returns the parsed source map of a generated file, see
+ * `_readMap()`. The result is cached.
+ *
+ * @param fileName {string} the generated file.
+ * @returns {Object|null} null if the file doesn't have a source map, or it
+ *                        can't be read.
+ * @private
+ */
+function _getMap(fileName) {
+	if (mapCache[fileName] === undefined) {
+		try {
+			mapCache[fileName] = _readMap(fileName);
+		} catch (e) {
+			mapCache[fileName] = null;
+		}
+	}
+	return mapCache[fileName];
+}
+
+/**
+ * This function maps a position in a generated file to the original
+ * source, by the file's source map.
+ *
+ * @param fileName {string} the generated file.
+ * @param lineNumber {int} 1-based line number.
+ * @param columnNumber {int} 1-based column number.
+ * @returns {Object|null} an object with three fields: `fileName`,
+ *                        `lineNumber` and `columnNumber` (1-based) in the
+ *                        original source. Null if the file doesn't have a
+ *                        source map, the position isn't mapped, or the
+ *                        original source can't be read.
+ */
+function getOriginalPosition(fileName, lineNumber, columnNumber) {
+	var map = fileName ? _getMap(fileName) : null;
+	var segments, found, source;
+	var i;
+
+	if (!map || !map.lines[lineNumber - 1]) {
+		return null;
+	}
+
+	// Find the last segment that starts at or before the column.
+	segments = map.lines[lineNumber - 1];
+	for (i = 0; i < segments.length && segments[i][0] <= columnNumber - 1; i++) {
+		found = segments[i];
+	}
+	if (!found || found.length < 4) {
+		return null;
+	}
+
+	source = map.sources[found[1]];
+	if (!source || (contentCache[source] === undefined && !fs.existsSync(source))) {
+		return null;
+	}
+	return {fileName: source, lineNumber: found[2] + 1, columnNumber: found[3] + 1};
+}
+
+/**
+ * This function reads a source file, or, if it doesn't exist, its content
+ * embedded in a source map that's been read (eg, of a bundle whose sources
+ * aren't on disk).
+ *
+ * @param fileName {string} the source file.
+ * @returns {string} the content.
+ */
+function readSource(fileName) {
+	if (contentCache[fileName] !== undefined && !fs.existsSync(fileName)) {
+		return contentCache[fileName];
+	}
+	return fs.readFileSync(fileName).toString();
+}
+
+module.exports = {
+	toFilePath: toFilePath,
+	getOriginalPosition: getOriginalPosition,
+	readSource: readSource
+};
@@ -0,0 +1,469 @@
+/**
+ * This module implements the run store, where probes save their results
+ * for use in later runs.
+ *
+ * The store is a directory, by default `.diffbug/` at the root of the Git
+ * repository of the current working directory (or `diffbug/` in the
+ * temporary directory outside of a repository). It can also be set with
+ * `Probe.setStore()` or the `DIFFBUG_STORE` environment variable.
+ *
+ * Each profile is stored in a `<profile>_probes.json` file in the store,
+ * which keeps the last runs of that profile (see `MAX_RUNS`). Each run is
+ * an object with these fields:
+ * 1. id: a unique id of the run, which sorts in the order of time.
+ * 2. time: the time the run is saved, in milliseconds since the epoch.
+ * 3. commit: SHA of the `HEAD` commit, or null outside of a repository.
+ * 4. branch: name of the current branch, or null if detached.
+ * 5. dirty: whether the working directory has uncommitted changes.
+ * 6. probes: the saved probes.
+ * 7. exception: [optional] the local variables of the stack frames recorded
+ *    on an uncaught exception, see `Probe.captureExceptions()`.
+ */
+
+var os = require('os');
+var fs = require('fs');
+var path = require('path');
+var snapshot = require('./snapshot');
+var git = require('./git');
+
+// The default number of runs kept for each profile.
+var MAX_RUNS = 20;
+
+// The pattern of file names of profiles in the store.
+var PROFILE_FILE_PATTERN = /^(.+)_probes\.json$/i;
+
+/**
+ * This function returns the default store directory, see above.
+ *
+ * @returns {string}
+ */
+function getDefaultDir() {
+	if (process.env.DIFFBUG_STORE) {
+		return path.resolve(process.env.DIFFBUG_STORE);
+	}
+
+	var root = git.getRepoRoot(process.cwd());
+	if (root) {
+		return path.join(root, '.diffbug');
+	}
+	return path.join(os.tmpdir(), 'diffbug');
+}
+
+/**
+ * This function creates the store directory (and its parents) if it
+ * doesn't exist.
+ *
+ * A `.gitignore` file that ignores everything is also created in it, so
+ * that the store doesn't make the working directory dirty.
+ *
+ * @param dir {string} the store directory.
+ */
+function ensureDir(dir) {
+	if (!fs.existsSync(dir)) {
+		_makeDirs(path.dirname(dir));
+		fs.mkdirSync(dir);
+		fs.writeFileSync(path.join(dir, '.gitignore'), '*\n');
+	}
+}
+
+// Create a directory and its parents if they don't exist.
+function _makeDirs(dir) {
+	if (!fs.existsSync(dir)) {
+		_makeDirs(path.dirname(dir));
+		fs.mkdirSync(dir);
+	}
+}
+
+/**
+ * This function returns the file of a profile in a store.
+ *
+ * @param dir {string} the store directory.
+ * @param profile {string} the profile name.
+ * @returns {string}
+ */
+function getProfileFile(dir, profile) {
+	return path.join(dir, profile + '_probes.json');
+}
+
+/**
+ * This function converts probes saved by older versions, whose watched
+ * values are in plain JSON, to contain snapshots (see `snapshot.js`).
+ *
+ * @param probes {Array} the saved probes.
+ * @returns {Array} the same array.
+ * @private
+ */
+function _convertLegacyProbes(probes) {
+	var i, j, keys;
+	for (i = 0; i < probes.length; i++) {
+		keys = Object.keys(probes[i]._watches);
+		for (j = 0; j < keys.length; j++) {
+			probes[i]._watches[keys[j]] = snapshot.encode(probes[i]._watches[keys[j]]);
+		}
+	}
+	return probes;
+}
+
+/**
+ * This function reads the runs saved in a profile file, from the oldest
+ * to the latest. An empty array is returned if the file doesn't exist.
+ *
+ * Files saved by older versions only contain a single run, which doesn't
+ * have any of the fields above except `probes`. Its `id` is set to
+ * 'legacy', and other fields to null.
+ *
+ * An error is thrown if the file can't be parsed, or isn't a profile file,
+ * see `loadRuns()`.
+ *
+ * @param fileName {string} the profile file.
+ * @returns {Array} the runs.
+ */
+function readRuns(fileName) {
+	var data;
+
+	if (!fs.existsSync(fileName)) {
+		return [];
+	}
+
+	data = JSON.parse(fs.readFileSync(fileName).toString());
+	if (data instanceof Array) {
+		// A bare array of probes with watched values in plain JSON.
+		data = {probes: _convertLegacyProbes(data)};
+	}
+	if (!(data instanceof Object) || !(data.runs instanceof Array || data.probes instanceof Array)) {
+		throw new Error(fileName + ' is not a profile file');
+	}
+	if (data.runs) {
+		return data.runs;
+	}
+
+	// A single run saved with snapshots, but without any other info.
+	return [{
+		id: 'legacy',
+		time: fs.statSync(fileName).mtime.getTime(),
+		commit: null,
+		branch: null,
+		dirty: null,
+		probes: data.probes
+	}];
+}
+
+/**
+ * This function reads the runs saved in a profile file, like `readRuns()`,
+ * but if the file can't be read, it's renamed to `<file>.corrupt`
+ * (replacing any earlier one) with a warning, and taken as having no runs.
+ * This way a corrupted file neither stops the program, nor is overwritten
+ * by the next run, so its runs can still be recovered.
+ *
+ * @param fileName {string} the profile file.
+ * @returns {Array} the runs.
+ */
+function loadRuns(fileName) {
+	try {
+		return readRuns(fileName);
+	} catch (e) {
+		console.warn('diffbug: can\'t read %s, moved it to %s.corrupt: %s', fileName, fileName, e.message);
+		fs.renameSync(fileName, fileName + '.corrupt');
+		return [];
+	}
+}
+
+/**
+ * This function adds a run to a profile file, keeping at most `maxRuns`
+ * runs in it. The existing runs are read with `loadRuns()`.
+ *
+ * The file is written to a temporary file first, which is then renamed over
+ * it, so it's never left partly written. There's no lock though: if two
+ * processes add runs at the same time, the run of one of them may be lost.
+ *
+ * @param fileName {string} the profile file.
+ * @param run {Object} the run to add, see `createRun()`.
+ * @param maxRuns {int} [optional] default is `MAX_RUNS`.
+ */
+function appendRun(fileName, run, maxRuns) {
+	var runs = loadRuns(fileName);
+	var tempFile;
+
+	runs.push(run);
+	if (runs.length > (maxRuns || MAX_RUNS)) {
+		runs = runs.slice(runs.length - (maxRuns || MAX_RUNS));
+	}
+
+	ensureDir(path.dirname(fileName));
+	tempFile = fileName + '.' + process.pid + '.tmp';
+	try {
+		fs.writeFileSync(tempFile, JSON.stringify({version: 2, runs: runs}));
+		fs.renameSync(tempFile, fileName);
+	} catch (e) {
+		if (fs.existsSync(tempFile)) {
+			fs.unlinkSync(tempFile);
+		}
+		throw e;
+	}
+}
+
+/**
+ * This function creates a new run with the saved probes, tagged with the
+ * current time and state of the Git repository.
+ *
+ * @param probes {Array} the saved probes.
+ * @param exception {Object} [optional] the recorded exception, see
+ *                           `report.printFrames()`.
+ * @returns {Object} the run.
+ */
+function createRun(probes, exception) {
+	var head = git.getHeadInfo(process.cwd());
+	var now = new Date();
+	var run = {
+		id: now.toISOString().replace(/[-:.]/g, '') + '-' + process.pid,
+		time: now.getTime(),
+		commit: head.commit,
+		branch: head.branch,
+		dirty: head.dirty,
+		probes: probes
+	};
+
+	if (exception) {
+		run.exception = exception;
+	}
+	return run;
+}
+
+/**
+ * This function selects the run to compare the current run against from
+ * the saved runs of a profile.
+ *
+ * The baseline can be one of the following:
+ * 1. 'last': the latest run.
+ * 2. 'other-commit': the latest run on a different commit than the current
+ *    `HEAD`. This way, going back and forth between two commits always
+ *    compares runs on one against runs on the other.
+ * 3. `{commit: rev}`: the latest run on the commit `rev` resolves to, eg,
+ *    a SHA, a branch name, or `HEAD~1`. If `rev` can't be resolved (eg, the
+ *    commit has since been rebased away), it's taken as a (possibly
+ *    abbreviated) SHA to be matched against the saved runs.
+ * 4. Any other string is taken as the id of a run.
+ *
+ * @param runs {Array} the saved runs, see `readRuns()`.
+ * @param baseline {string|Object} see above.
+ * @returns {Object|null} the selected run, or null if none matches.
+ */
+function selectRun(runs, baseline) {
+	var i, head, commit;
+
+	if (baseline === 'last') {
+		return runs.length > 0 ? runs[runs.length - 1] : null;
+	}
+
+	if (baseline === 'other-commit') {
+		head = git.getHeadInfo(process.cwd());
+		for (i = runs.length - 1; i >= 0; i--) {
+			if (runs[i].commit !== head.commit) {
+				return runs[i];
+			}
+		}
+		return null;
+	}
+
+	if (baseline instanceof Object) {
+		commit = git.resolveCommit(String(baseline.commit), process.cwd());
+		if (!commit) {
+			if (!/^[0-9a-f]{4,40}$/i.test(baseline.commit)) {
+				return null;
+			}
+			commit = baseline.commit.toLowerCase();
+		}
+		for (i = runs.length - 1; i >= 0; i--) {
+			if (runs[i].commit && runs[i].commit.indexOf(commit) === 0) {
+				return runs[i];
+			}
+		}
+		return null;
+	}
+
+	for (i = 0; i < runs.length; i++) {
+		if (runs[i].id === baseline) {
+			return runs[i];
+		}
+	}
+	return null;
+}
+
+/**
+ * This function parses a baseline given as a string, eg, on the command
+ * line, into the form accepted by `selectRun()`: 'commit:<rev>' is parsed
+ * into `{commit: rev}`, others are kept as they are.
+ *
+ * @param str {string}
+ * @returns {string|Object}
+ */
+function parseBaseline(str) {
+	if (str.indexOf('commit:') === 0) {
+		return {commit: str.substring(7)};
+	}
+	return str;
+}
+
+/**
+ * This function indexes the probes of a run for matching probes against
+ * them, see `matchProbe()`.
+ *
+ * @param run {Object} the run.
+ * @returns {Object} an object with four fields: `run`, the run, `probes`,
+ *                   its saved probes, `index`, which maps probe names to
+ *                   indexes, and `fingerprints`, which maps fingerprints of
+ *                   unnamed probes to indexes (or null if there isn't any).
+ */
+function indexRun(run) {
+	var obj = {run: run, probes: run.probes, index: {}, fingerprints: null};
+
+	for (var i = 0; i < obj.probes.length; i++) {
+		if (obj.probes[i].name) {
+			obj.index[obj.probes[i].name] = i;
+		} else if (obj.probes[i]._fingerprint) {
+			obj.fingerprints = obj.fingerprints || {};
+			obj.fingerprints[obj.probes[i]._fingerprint] = i;
+		}
+	}
+	return obj;
+}
+
+/**
+ * This function finds the saved probe in an indexed run (see `indexRun()`)
+ * that matches a probe.
+ *
+ * Named probes are matched by names. Unnamed probes are matched by
+ * fingerprints, or if either side doesn't have one, by the order of
+ * creation.
+ *
+ * @param obj {Object} the indexed run.
+ * @param probe {Object} the probe, or a saved probe of another run.
+ * @param index {int} the position of the probe in the order of creation.
+ * @returns {Object|undefined} the saved probe.
+ */
+function matchProbe(obj, probe, index) {
+	if (probe.name) {
+		if (obj.index[probe.name] !== undefined) {
+			return obj.probes[obj.index[probe.name]];
+		}
+	} else if (obj.fingerprints && probe._fingerprint) {
+		if (obj.fingerprints[probe._fingerprint] !== undefined) {
+			return obj.probes[obj.fingerprints[probe._fingerprint]];
+		}
+	} else if (index < obj.probes.length) {
+		return obj.probes[index];
+	}
+	return undefined;
+}
+
+/**
+ * This function finds the entry of a pass (in an async context) in the
+ * `_trace` of a saved probe, if it exists.
+ *
+ * @param saved {Object} the saved probe.
+ * @param context {string|int|null} key of the async context.
+ * @param pass {int}
+ * @returns {Object|undefined} the entry.
+ */
+function findSavedPass(saved, context, pass) {
+	var i, entry;
+
+	if (!saved || !saved._trace) {
+		return undefined;
+	}
+
+	if (!saved._traceIndex) {
+		// Index the entries by their contexts and passes.
+		saved._traceIndex = {};
+		for (i = 0; i < saved._trace.length; i++) {
+			entry = saved._trace[i];
+			saved._traceIndex[typeof entry.context + ':' + entry.context + ':' + entry.pass] = entry;
+		}
+	}
+
+	return saved._traceIndex[typeof context + ':' + context + ':' + pass];
+}
+
+/**
+ * This function finds the watched values of a saved probe that a firing
+ * (see `Probe.fire()`) should be compared against, ie, those of the same
+ * pass in the same async context. If the saved probe recorded every pass
+ * ("diverge" option), the same pass is used, otherwise the same count.
+ *
+ * @param saved {Object} the saved probe.
+ * @param isConditional {boolean} whether the probe of the firing is
+ *                                conditional. Counts of conditional and
+ *                                unconditional probes aren't comparable.
+ * @param firing {Object} an object with three fields: `context`, `count`
+ *                        and `pass`.
+ * @returns {Object|null} the watched values, or null if not available.
+ */
+function findSavedWatches(saved, isConditional, firing) {
+	var entry, i;
+
+	if (!saved || saved._isConditional !== isConditional) {
+		return null;
+	}
+
+	entry = findSavedPass(saved, firing.context, firing.pass);
+	if (entry) {
+		return entry.watches;
+	}
+
+	if (saved._firings) {
+		for (i = 0; i < saved._firings.length; i++) {
+			if (saved._firings[i].count === firing.count &&
+					saved._firings[i].context === firing.context) {
+				return saved._firings[i].watches;
+			}
+		}
+		return null;
+	}
+
+	// Saved by an older version, which only fires once.
+	return saved._count === firing.count ? saved._watches : null;
+}
+
+/**
+ * This function lists all profiles in a store.
+ *
+ * @param dir {string} the store directory.
+ * @returns {Array} objects with two fields: `name`, the profile name (or
+ *                  the generated one of an unnamed profile), and `fileName`,
+ *                  the profile file.
+ */
+function listProfiles(dir) {
+	var result = [];
+	var files, match, i;
+
+	if (!fs.existsSync(dir)) {
+		return result;
+	}
+
+	files = fs.readdirSync(dir).sort();
+	for (i = 0; i < files.length; i++) {
+		match = PROFILE_FILE_PATTERN.exec(files[i]);
+		if (match && fs.statSync(path.join(dir, files[i])).isFile()) {
+			result.push({name: match[1], fileName: path.join(dir, files[i])});
+		}
+	}
+	return result;
+}
+
+module.exports = {
+	MAX_RUNS: MAX_RUNS,
+	getDefaultDir: getDefaultDir,
+	ensureDir: ensureDir,
+	getProfileFile: getProfileFile,
+	readRuns: readRuns,
+	loadRuns: loadRuns,
+	appendRun: appendRun,
+	createRun: createRun,
+	selectRun: selectRun,
+	parseBaseline: parseBaseline,
+	indexRun: indexRun,
+	matchProbe: matchProbe,
+	findSavedPass: findSavedPass,
+	findSavedWatches: findSavedWatches,
+	listProfiles: listProfiles
+};
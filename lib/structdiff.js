@@ -0,0 +1,333 @@
+/**
+ * This module compares two diffable trees (see `snapshot.diffable()`) and
+ * lists the changes between them.
+ *
+ * Unlike comparing arrays index by index, the elements of arrays (and sets)
+ * are aligned by the longest common subsequence of their identities, so an
+ * element inserted at the front of a list is reported as one insertion,
+ * rather than every element being changed. Elements that are in both lists
+ * but out of the common subsequence are reported as moved.
+ *
+ * The identity of an element is its whole value, unless an identity key is
+ * set for its path, eg, with `{'users[*]': 'id'}`, the elements of `users`
+ * are identified by their `id` fields, and changes in the other fields of a
+ * user are reported as changes of the user wherever it's moved to.
+ */
+
+var snapshot = require('./snapshot');
+
+// Lists longer than this (the product of their lengths) are compared index
+// by index, since the LCS table would take too much memory.
+var MAX_LCS_CELLS = 1000000;
+
+// Check whether a node of a diffable tree is a container.
+function _isObject(node) {
+	return node instanceof Object;
+}
+
+// Check whether a container is a list, ie, an array or a set.
+function _isList(node) {
+	return Array.isArray(node) || node[snapshot.CLASS_KEY] === 'Set';
+}
+
+/**
+ * This function returns the elements of a list, see `_isList()`.
+ *
+ * @param node {Object} the array, or the set in a diffable tree, whose
+ *                      elements are keyed by their indexes.
+ * @returns {Array}
+ * @private
+ */
+function _getItems(node) {
+	if (Array.isArray(node)) {
+		return node;
+	}
+	return Object.keys(node).filter(function(key) {
+		return /^\d+$/.test(key);
+	}).sort(function(a, b) {
+		return a - b;
+	}).map(function(key) {
+		return node[key];
+	});
+}
+
+/**
+ * This function returns a string that's equal for equal subtrees.
+ *
+ * @param node {*} a node of a diffable tree.
+ * @returns {string}
+ */
+function canonical(node) {
+	if (!_isObject(node)) {
+		return JSON.stringify(node);
+	}
+	if (Array.isArray(node)) {
+		return '[' + node.map(canonical).join(',') + ']';
+	}
+	return '{' + Object.keys(node).map(function(key) {
+		return JSON.stringify(key) + ':' + canonical(node[key]);
+	}).join(',') + '}';
+}
+
+/**
+ * This function appends a key to a path, in the format of the paths of
+ * changes, eg, `a.b[0]`. Map keys and class names in diffable trees are
+ * already bracketed.
+ *
+ * @param path {string} '' for the root.
+ * @param key {string}
+ * @returns {string}
+ * @private
+ */
+function _childPath(path, key) {
+	if (/^\d+$/.test(key)) {
+		return path + '[' + key + ']';
+	}
+	if (key[0] === '[') {
+		return path + key;
+	}
+	return path ? path + '.' + key : key;
+}
+
+/**
+ * This function finds the longest common subsequence of two lists.
+ *
+ * @param a {Array}
+ * @param b {Array}
+ * @returns {Array} the pairs of indexes of the common elements in `a` and
+ *                  `b`, in order.
+ * @private
+ */
+function _lcs(a, b) {
+	var n = a.length;
+	var m = b.length;
+	var table = [];
+	var result = [];
+	var i, j;
+
+	// table[i][j] is the length of the LCS of a[i..] and b[j..].
+	for (i = n; i >= 0; i--) {
+		table[i] = [];
+		for (j = m; j >= 0; j--) {
+			if (i === n || j === m) {
+				table[i][j] = 0;
+			} else if (a[i] === b[j]) {
+				table[i][j] = table[i + 1][j + 1] + 1;
+			} else {
+				table[i][j] = Math.max(table[i + 1][j], table[i][j + 1]);
+			}
+		}
+	}
+
+	i = 0;
+	j = 0;
+	while (i < n && j < m) {
+		if (a[i] === b[j]) {
+			result.push([i, j]);
+			i++;
+			j++;
+		} else if (table[i + 1][j] >= table[i][j + 1]) {
+			i++;
+		} else {
+			j++;
+		}
+	}
+	return result;
+}
+
+/**
+ * This function compares two diffable trees.
+ *
+ * @param a {*} the old tree.
+ * @param b {*} the new tree.
+ * @param keys {Object} [optional] the identity keys of list elements. Each
+ *                      key is the path of the elements, with `[*]` for the
+ *                      indexes of lists, eg, `users[*]` or `[*].items[*]`,
+ *                      and each value is the field that identifies them.
+ * @returns {Array} the changes, each of which is an object with these
+ *                  fields:
+ *                  1. type: 'change', 'remove', 'add' or 'move'.
+ *                  2. path: the path of the value ('' for the root), in the
+ *                     new tree, except for removed values.
+ *                  3. removed and added: the old and new values of changes.
+ *                  4. value: the value removed, added or moved.
+ *                  5. from: the old path of moved values.
+ *                  The values are nodes of the trees.
+ */
+function diff(a, b, keys) {
+	var changes = [];
+
+	keys = keys || {};
+
+	function compare(a, b, path, pattern) {
+		if (a === b) {
+			return;
+		}
+		if (!_isObject(a) || !_isObject(b)) {
+			changes.push({type: 'change', path: path, removed: a, added: b});
+		} else if (_isList(a) && _isList(b) && Array.isArray(a) === Array.isArray(b)) {
+			compareLists(a, b, path, pattern);
+		} else {
+			compareProps(a, b, path, pattern);
+		}
+	}
+
+	function compareProps(a, b, path, pattern) {
+		Object.keys(a).forEach(function(key) {
+			if (Object.prototype.hasOwnProperty.call(b, key)) {
+				compare(a[key], b[key], _childPath(path, key), _childPath(pattern, key));
+			} else {
+				changes.push({type: 'remove', path: _childPath(path, key), value: a[key]});
+			}
+		});
+		Object.keys(b).forEach(function(key) {
+			if (!Object.prototype.hasOwnProperty.call(a, key)) {
+				changes.push({type: 'add', path: _childPath(path, key), value: b[key]});
+			}
+		});
+	}
+
+	function compareLists(a, b, path, pattern) {
+		var itemPattern = pattern + '[*]';
+		var keyField = Object.prototype.hasOwnProperty.call(keys, itemPattern) ? keys[itemPattern] : null;
+		var oldItems = _getItems(a);
+		var newItems = _getItems(b);
+		var oldIds, newIds, pairs, oldMatched, newMatched, gaps, removed, added;
+		var i, j, k;
+
+		// Other properties of sets, ie, the class name.
+		if (!Array.isArray(a)) {
+			Object.keys(a).forEach(function(key) {
+				if (!/^\d+$/.test(key) && a[key] !== b[key]) {
+					compare(a[key], b[key], _childPath(path, key), _childPath(pattern, key));
+				}
+			});
+		}
+
+		function identify(item) {
+			if (keyField !== null && _isObject(item) && Object.prototype.hasOwnProperty.call(item, keyField)) {
+				return 'key:' + canonical(item[keyField]);
+			}
+			return 'value:' + canonical(item);
+		}
+
+		function itemPath(index) {
+			return path + '[' + index + ']';
+		}
+
+		if (oldItems.length * newItems.length > MAX_LCS_CELLS) {
+			for (i = 0; i < Math.max(oldItems.length, newItems.length); i++) {
+				if (i >= newItems.length) {
+					changes.push({type: 'remove', path: itemPath(i), value: oldItems[i]});
+				} else if (i >= oldItems.length) {
+					changes.push({type: 'add', path: itemPath(i), value: newItems[i]});
+				} else {
+					compare(oldItems[i], newItems[i], itemPath(i), itemPattern);
+				}
+			}
+			return;
+		}
+
+		oldIds = oldItems.map(identify);
+		newIds = newItems.map(identify);
+		pairs = _lcs(oldIds, newIds);
+		oldMatched = [];
+		newMatched = [];
+
+		// Elements in the common subsequence. Keyed elements may still have
+		// changed.
+		pairs.forEach(function(pair) {
+			oldMatched[pair[0]] = true;
+			newMatched[pair[1]] = true;
+			if (keyField !== null) {
+				compare(oldItems[pair[0]], newItems[pair[1]], itemPath(pair[1]), itemPattern);
+			}
+		});
+
+		// Elements that are in both lists, but out of order, are moved.
+		for (j = 0; j < newItems.length; j++) {
+			for (i = 0; i < oldItems.length && !newMatched[j]; i++) {
+				if (!oldMatched[i] && oldIds[i] === newIds[j]) {
+					oldMatched[i] = true;
+					newMatched[j] = true;
+					changes.push({type: 'move', path: itemPath(j), from: itemPath(i), value: newItems[j]});
+					if (keyField !== null) {
+						compare(oldItems[i], newItems[j], itemPath(j), itemPattern);
+					}
+				}
+			}
+		}
+
+		// The rest of the elements between the same pair of common elements
+		// (a gap) are taken as changed in place, one by one, unless they
+		// are identified by keys, in which case they are different ones.
+		gaps = [];
+		for (i = 0, k = 0; i < oldItems.length; i++) {
+			while (k < pairs.length && pairs[k][0] < i) {
+				k++;
+			}
+			if (!oldMatched[i]) {
+				gaps[k] = gaps[k] || {removed: [], added: []};
+				gaps[k].removed.push(i);
+			}
+		}
+		for (j = 0, k = 0; j < newItems.length; j++) {
+			while (k < pairs.length && pairs[k][1] < j) {
+				k++;
+			}
+			if (!newMatched[j]) {
+				gaps[k] = gaps[k] || {removed: [], added: []};
+				gaps[k].added.push(j);
+			}
+		}
+
+		removed = [];
+		added = [];
+		gaps.forEach(function(gap) {
+			var n = keyField === null ? Math.min(gap.removed.length, gap.added.length) : 0;
+			for (k = 0; k < n; k++) {
+				compare(oldItems[gap.removed[k]], newItems[gap.added[k]], itemPath(gap.added[k]), itemPattern);
+			}
+			removed = removed.concat(gap.removed.slice(n));
+			added = added.concat(gap.added.slice(n));
+		});
+
+		removed.forEach(function(index) {
+			changes.push({type: 'remove', path: itemPath(index), value: oldItems[index]});
+		});
+		added.forEach(function(index) {
+			changes.push({type: 'add', path: itemPath(index), value: newItems[index]});
+		});
+	}
+
+	compare(a, b, '', '');
+	return changes;
+}
+
+/**
+ * This function selects the identity keys of the elements in a watched
+ * value, from those given by watch names, eg, `{'users[*]': 'id'}`, and
+ * makes them relative to the value, see `diff()`.
+ *
+ * @param keys {Object} [optional] the identity keys, see `diff()`, whose
+ *                      paths start with watch names.
+ * @param name {string} the watch name.
+ * @returns {Object}
+ */
+function keysOf(keys, name) {
+	var result = {};
+
+	Object.keys(keys || {}).forEach(function(pattern) {
+		var rest = pattern.substring(name.length);
+		if (pattern.substring(0, name.length) === name && (rest[0] === '[' || rest[0] === '.')) {
+			result[rest[0] === '.' ? rest.substring(1) : rest] = keys[pattern];
+		}
+	});
+	return result;
+}
+
+module.exports = {
+	canonical: canonical,
+	diff: diff,
+	keysOf: keysOf
+};
@@ -0,0 +1,161 @@
+/**
+ * This module helps run a program with the current probe instrumentation on
+ * another commit, eg, the last good commit, without touching the working
+ * directory. This automates steps 4 and 5 of the workflow in the README.
+ *
+ * The other commit is checked out in a temporary Git worktree, to which the
+ * instrumentation, ie, uncommitted changes and untracked files, is copied.
+ * Since profile file names don't depend on where the repository is checked
+ * out (see `_getSourceIdentity()` of `probe.js`), probes in both trees save
+ * their results under the same profiles, as long as they share a run store.
+ */
+
+var os = require('os');
+var fs = require('fs');
+var path = require('path');
+var child_process = require('child_process');
+var git = require('./git');
+
+/**
+ * This function runs a Git command synchronously, and returns its output.
+ * If the command fails, the error thrown has the output on stderr in its
+ * `stderr` property.
+ *
+ * @param args {Array} the arguments.
+ * @param cwd {string} the working directory.
+ * @param input {string} [optional] the input of the command.
+ * @returns {string} the output.
+ * @private
+ */
+function _git(args, cwd, input) {
+	return child_process.execFileSync('git', args, {
+		cwd: cwd,
+		input: input,
+		stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+		maxBuffer: 256 * 1024 * 1024
+	}).toString();
+}
+
+// Create a directory and its parents if they don't exist.
+function _makeDirs(dir) {
+	if (!fs.existsSync(dir)) {
+		_makeDirs(path.dirname(dir));
+		fs.mkdirSync(dir);
+	}
+}
+
+/**
+ * This function checks out a commit in a new temporary worktree of the
+ * repository, with a detached `HEAD`.
+ *
+ * @param root {string} the top level path of the repository.
+ * @param rev {string} the revision of the commit, eg, `HEAD~1`.
+ * @returns {string} the top level path of the worktree.
+ */
+function create(root, rev) {
+	var commit = git.resolveCommit(rev, root);
+	var dir;
+
+	if (!commit) {
+		throw new Error('Unknown revision: ' + rev);
+	}
+
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diffbug-'));
+	_git(['worktree', 'add', '--detach', dir, commit], root);
+	return dir;
+}
+
+/**
+ * This function copies the instrumentation from the working directory of
+ * the repository to a worktree created by `create()`:
+ * 1. Uncommitted changes to tracked files are applied as a patch, with a
+ *    3-way merge if it doesn't apply cleanly. An error is thrown if there
+ *    are conflicts, with the conflicting files and Git's output in its
+ *    message.
+ * 2. Untracked files (that aren't ignored) are copied over.
+ * 3. `node_modules` in the top level of the repository, which is usually
+ *    ignored, is linked, so that the program can load its dependencies.
+ *
+ * @param root {string} the top level path of the repository.
+ * @param dir {string} the top level path of the worktree.
+ * @returns {Object} an object with two fields: `patched` and `copied`, the
+ *                   numbers of files changed by the patch and copied.
+ */
+function applyChanges(root, dir) {
+	var result = {patched: 0, copied: 0};
+	var patch, files, i, message, conflicts;
+
+	patch = _git(['diff', 'HEAD', '--binary'], root);
+	if (patch) {
+		result.patched = _git(['diff', 'HEAD', '--name-only'], root).split('\n').filter(Boolean).length;
+		try {
+			_git(['apply', '--3way', '--whitespace=nowarn', '-'], dir, patch);
+		} catch (e) {
+			message = e.stderr ? e.stderr.toString().replace(/\s+$/, '') : e.message;
+			try {
+				conflicts = _git(['diff', '--name-only', '--diff-filter=U'], dir).split('\n').filter(Boolean);
+			} catch (e2) {
+				conflicts = [];
+			}
+			throw new Error('The uncommitted changes (probe instrumentation) don\'t apply to '
+							+ _git(['rev-parse', '--short', 'HEAD'], dir).replace(/\s+$/, '')
+							+ (conflicts.length > 0 ? ', conflicts in: ' + conflicts.join(', ') : '')
+							+ '\n' + message);
+		}
+	}
+
+	files = _git(['ls-files', '--others', '--exclude-standard', '-z'], root).split('\0');
+	for (i = 0; i < files.length; i++) {
+		if (files[i]) {
+			_makeDirs(path.dirname(path.join(dir, files[i])));
+			fs.writeFileSync(path.join(dir, files[i]), fs.readFileSync(path.join(root, files[i])));
+			result.copied++;
+		}
+	}
+
+	if (fs.existsSync(path.join(root, 'node_modules')) && !fs.existsSync(path.join(dir, 'node_modules'))) {
+		fs.symlinkSync(path.join(root, 'node_modules'), path.join(dir, 'node_modules'), 'junction');
+	}
+
+	return result;
+}
+
+/**
+ * This function checks out another commit in a worktree created by
+ * `create()`, discarding changes made by `applyChanges()`.
+ *
+ * @param dir {string} the top level path of the worktree.
+ * @param rev {string} [optional] the revision of the commit. Default is
+ *                     the current `HEAD`.
+ */
+function reset(dir, rev) {
+	_git(['reset', '--hard', '-q'], dir);
+	_git(['clean', '-fdq'], dir);
+	if (rev) {
+		_git(['checkout', '-q', '--detach', rev], dir);
+	}
+}
+
+/**
+ * This function removes a worktree created by `create()`, along with any
+ * changes in it.
+ *
+ * @param root {string} the top level path of the repository.
+ * @param dir {string} the top level path of the worktree.
+ */
+function remove(root, dir) {
+	try {
+		_git(['worktree', 'remove', '--force', dir], root);
+	} catch (e) {
+		// Remove it by hand, eg, if the worktree is already broken.
+		fs.rmSync(dir, {recursive: true, force: true});
+		_git(['worktree', 'prune'], root);
+	}
+}
+
+module.exports = {
+	create: create,
+	applyChanges: applyChanges,
+	reset: reset,
+	remove: remove
+};
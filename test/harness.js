@@ -0,0 +1,53 @@
+/**
+ * This module is the harness of the tests, which are the other files in
+ * this directory, run by `run.js` (ie, `npm test`).
+ *
+ *     var test = require('./harness').test;
+ *
+ *     test('what it does', function() {
+ *         assert.strictEqual(...);
+ *     });
+ *
+ * A test case passes unless it throws. Failed cases set the exit code of
+ * the process, but don't stop the others.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+/**
+ * This function runs a test case, and reports its result.
+ *
+ * @param name {string}
+ * @param fn {Function}
+ */
+function test(name, fn) {
+	try {
+		fn();
+		console.log('ok - %s', name);
+	} catch (e) {
+		process.exitCode = 1;
+		console.log('not ok - %s\n%s', name, e.stack);
+	}
+}
+
+/**
+ * This function creates a temporary directory, which is removed when the
+ * process exits.
+ *
+ * @returns {string}
+ */
+function tempDir() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diffbug-test-'));
+
+	process.on('exit', function() {
+		fs.rmSync(dir, {recursive: true, force: true});
+	});
+	return dir;
+}
+
+module.exports = {
+	test: test,
+	tempDir: tempDir
+};
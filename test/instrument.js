@@ -0,0 +1,97 @@
+/**
+ * Tests of `instrument.js`, see `harness.js`.
+ *
+ * Instrumented code is run with `new Function()`, so that what it does can
+ * be checked rather than its exact text.
+ */
+
+var assert = require('assert');
+var test = require('./harness').test;
+var ast = require('../lib/ast');
+var instrument = require('../lib/instrument');
+
+// Wrap the first function of a source, and return its instrumented source.
+function instrumentSource(source, enter) {
+	var root = instrument.parse(source);
+	var node = null;
+
+	ast.walk(root, function(child) {
+		if (!node && ast.isFunction(child)) {
+			node = child;
+		}
+		return !node;
+	});
+	return instrument.applyEdits(source, instrument.wrapFunction(node, enter));
+}
+
+// Wrap the first function of a source, and return the function it returns
+// when run, with the calls of `enter` and `done` recorded in `events`.
+// Arrow functions have no `arguments`, so their parameters are passed to
+// `enter` as an array, like `register.js` does.
+function wrap(source, enter, events) {
+	return new Function('enter', 'return ' + instrumentSource(source, enter))(function(args) {
+		events.push('enter ' + Array.prototype.slice.call(args).join(','));
+		return function(type, value) {
+			events.push(type + ' ' + (value instanceof Error ? value.message : value));
+			return value;
+		};
+	});
+}
+
+test('returns and throws of wrapped functions are recorded', function() {
+	var events = [];
+	var f = wrap('function f(a, b) { "use strict"; if (a) { return a + b; } throw new Error("no a"); }',
+				 'enter(arguments)', events);
+
+	assert.strictEqual(f(1, 2), 3);
+	assert.throws(function() {
+		f(0, 2);
+	}, /no a/);
+	assert.deepStrictEqual(events, ['enter 1,2', 'return 3', 'return undefined',
+									'enter 0,2', 'throw no a', 'return undefined']);
+});
+
+test('returns of nested functions are left alone', function() {
+	var events = [];
+	var f = wrap('function f() { var g = function() { return 1; }; return g() + 1; }', 'enter(arguments)', events);
+
+	assert.strictEqual(f(), 2);
+	assert.deepStrictEqual(events, ['enter ', 'return 2', 'return undefined']);
+});
+
+test('expression bodies of arrow functions are wrapped in place', function() {
+	var events = [];
+	var f = wrap('(x) => ({a: x})', 'enter([x])', events);
+
+	assert.deepStrictEqual(f(1), {a: 1});
+	assert.deepStrictEqual(events, ['enter 1', 'return [object Object]', 'return undefined']);
+});
+
+test('expression bodies of async arrow functions can still await', function() {
+	var source = instrumentSource('async (x) => await Promise.resolve(x * 2)', 'enter([x])');
+
+	// `await` is only valid in an async function.
+	assert.doesNotThrow(function() {
+		instrument.parse(source);
+	});
+	assert.ok(/\(await \(async \(__diffbug_done__\) =>/.test(source));
+});
+
+test('code is inserted before statements, in braces outside of lists', function() {
+	var result = instrument.insertAtLines('var a = 1;\nif (a)\n  a++;\nfoo(\n);', [
+		{line: 1, code: 'x();'}, {line: 3, code: 'y();'}, {line: 5, code: 'z();'}
+	]);
+
+	assert.strictEqual(result.source, 'x();var a = 1;\nif (a)\n  {y();a++;}\nfoo(\n);');
+	assert.deepStrictEqual(result.missing, [{line: 5, code: 'z();'}]);
+});
+
+test('code is inserted before the labels of a statement', function() {
+	var source = 'var n = 0;\nouter:\nfor (var i = 0; i < 2; i++) {\n  for (;;) { n++; continue outer; }\n}\nn';
+	var result = instrument.insertAtLines(source, [{line: 3, code: 'n += 10;'}]);
+
+	assert.strictEqual(result.source, source.replace('outer:', 'n += 10;outer:'));
+	assert.strictEqual(new Function(result.source.replace(/n$/, 'return n;'))(), 12);
+	result = instrument.insertAtLines('if (true)\n  outer: for (;;) { break outer; }', [{line: 2, code: 'x();'}]);
+	assert.strictEqual(result.source, 'if (true)\n  {x();outer: for (;;) { break outer; }}');
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests of `normalize.js`, see `harness.js`.
+ *
+ * Rules are applied to both values of a diff, as `report.js` does, so most
+ * cases check that the noise they hide leaves no changes.
+ */
+
+var assert = require('assert');
+var test = require('./harness').test;
+var snapshot = require('../lib/snapshot');
+var structdiff = require('../lib/structdiff');
+var normalize = require('../lib/normalize');
+var report = require('../lib/report');
+
+// Normalize a value watched as `name`.
+function apply(value, rules, name, applied) {
+	return normalize.apply(snapshot.diffable(snapshot.encode(value)), normalize.compile(rules), name, applied);
+}
+
+// Diff two values watched as `v` after normalizing them, and return the
+// paths of the changes.
+function diff(a, b, rules) {
+	return structdiff.diff(apply(a, rules, 'v'), apply(b, rules, 'v')).map(function(change) {
+		return change.path;
+	});
+}
+
+test('ignored paths are left out', function() {
+	var applied = {};
+
+	assert.deepStrictEqual(apply({requestId: 1, meta: {requestId: 2}, n: 3}, {ignore: '**.requestId'}, 'v', applied),
+						   {meta: {}, n: '3'});
+	assert.deepStrictEqual(applied, {ignore: true});
+	assert.deepStrictEqual(diff({requestId: 1, n: 3}, {requestId: 2, n: 4}, {ignore: 'v.requestId'}), ['n']);
+	assert.strictEqual(apply(5, {ignore: 'v'}, 'v'), undefined);
+});
+
+test('masked paths compare as equal, unless added or removed', function() {
+	var rules = {mask: 'v[*].token'};
+
+	assert.deepStrictEqual(diff([{token: 'a'}], [{token: 'b'}], rules), []);
+	assert.deepStrictEqual(diff([{}], [{token: 'b'}], rules), ['[0].token']);
+});
+
+test('unordered arrays and sets compare as sets', function() {
+	var rules = {unordered: ['v.roles', 'v.ids']};
+
+	assert.deepStrictEqual(diff({roles: ['a', 'b'], ids: new Set([1, 2])},
+								{roles: ['b', 'a'], ids: new Set([2, 1])}, rules), []);
+	assert.deepStrictEqual(diff({roles: ['a', 'b']}, {roles: ['b', 'c']}, rules), ['roles[0]', 'roles[1]']);
+	assert.deepStrictEqual(diff({other: ['a', 'b']}, {other: ['b', 'a']}, rules), ['other[1]']);
+});
+
+test('replacements apply to display text, by path', function() {
+	var rules = {replace: ['uuid', {pattern: /tok_\w+/g, with: 'tok_*', path: 'v.note'}]};
+
+	assert.deepStrictEqual(diff({id: '123e4567-e89b-12d3-a456-426614174000', note: 'tok_1 tok_2'},
+								{id: '00000000-0000-4000-8000-000000000000', note: 'tok_3 tok_4'}, rules), []);
+	assert.deepStrictEqual(diff({other: 'tok_1'}, {other: 'tok_2'}, rules), ['other']);
+});
+
+test('* matches one property and ** any number of them', function() {
+	assert.deepStrictEqual(apply({a: {b: {c: 1}}}, {ignore: 'v.*.c'}, 'v'), {a: {b: {c: '1'}}});
+	assert.deepStrictEqual(apply({a: {b: {c: 1}}}, {ignore: 'v.*.*.c'}, 'v'), {a: {b: {}}});
+	assert.deepStrictEqual(apply({a: {b: {c: 1}}}, {ignore: 'v.**.c'}, 'v'), {a: {b: {}}});
+});
+
+test('tolerances apply to numbers only', function() {
+	var rules = normalize.compile({tolerance: {'v.score': 0.01}});
+
+	assert.strictEqual(normalize.withinTolerance(rules, 'v', 'score', '1.001', '1.005'), true);
+	assert.strictEqual(normalize.withinTolerance(rules, 'v', 'score', '1', '1.1'), false);
+	assert.strictEqual(normalize.withinTolerance(rules, 'v', 'other', '1', '1.001'), false);
+	assert.strictEqual(normalize.withinTolerance(rules, 'v', 'score', "'1'", '1'), false);
+	assert.strictEqual(normalize.withinTolerance(rules, 'v', 'score', '', '0'), false);
+	assert.strictEqual(normalize.withinTolerance(rules, 'v', 'score', 'NaN', 'NaN'), false);
+});
+
+test('merged tolerances of probes override the global ones', function() {
+	var rules = normalize.merge(normalize.compile({tolerance: 0.5}), normalize.compile({tolerance: {'x.a': 0.1}}));
+
+	assert.deepStrictEqual(rules.rules.tolerance, {'**': 0.5, 'x.a': 0.1});
+	assert.strictEqual(normalize.withinTolerance(rules, 'x', 'a', '1', '1.2'), false);
+	assert.strictEqual(normalize.withinTolerance(rules, 'x', 'b', '1', '1.2'), true);
+});
+
+test('illegal rules are rejected', function() {
+	assert.throws(function() {
+		normalize.compile({replace: 'nope'});
+	}, /unknown replacement preset nope/);
+	assert.throws(function() {
+		normalize.compile({tolerance: {a: '1'}});
+	}, /tolerance of a must be a number/);
+	assert.throws(function() {
+		normalize.compile({ignore: ['']});
+	}, /must be strings/);
+});
+
+test('changes hidden by rules are counted by what the rules remove', function() {
+	var hidden = [];
+	// Ignoring the first element shifts the indexes of the others.
+	var changes = report.generateObjectDiff(snapshot.encode(['tmp1', 'a', 'b']), snapshot.encode(['tmp2', 'a', 'c']),
+											false, null, {name: 'v', normalize: normalize.compile({ignore: 'v[0]'}), hidden: hidden});
+
+	assert.deepStrictEqual(changes, ["*   [1] = 'b' -> 'c'"]);
+	assert.deepStrictEqual(hidden, [{count: 1, rules: ['ignore']}]);
+});
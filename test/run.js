@@ -0,0 +1,13 @@
+/**
+ * This script runs all tests, see `harness.js`.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+fs.readdirSync(__dirname).sort().forEach(function(file) {
+	if (/\.js$/.test(file) && file !== 'run.js' && file !== 'harness.js') {
+		console.log('# %s', file);
+		require(path.join(__dirname, file));
+	}
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests of `snapshot.js`, see `harness.js`.
+ *
+ * Snapshots are passed through JSON, as they are when saved with runs.
+ */
+
+var assert = require('assert');
+var test = require('./harness').test;
+var snapshot = require('../lib/snapshot');
+
+// Take a snapshot of a value, and rebuild it after a JSON round trip.
+function roundTrip(value, options) {
+	return snapshot.decode(JSON.parse(JSON.stringify(snapshot.encode(value, options))));
+}
+
+test('primitives that JSON loses survive the round trip', function() {
+	var value = roundTrip({u: undefined, n: NaN, z: -0, i: -Infinity, b: BigInt(10), s: Symbol('q')});
+
+	assert.ok('u' in value);
+	assert.strictEqual(value.u, undefined);
+	assert.ok(Number.isNaN(value.n));
+	assert.ok(Object.is(value.z, -0));
+	assert.strictEqual(value.i, -Infinity);
+	assert.strictEqual(value.b, BigInt(10));
+	assert.strictEqual(String(value.s), 'Symbol(q)');
+});
+
+test('built-in objects survive the round trip', function() {
+	var value = roundTrip({
+		d: new Date(0),
+		r: /a+/gi,
+		m: new Map([['k', 1]]),
+		s: new Set([1, 'a']),
+		buf: Buffer.from('hi'),
+		ta: new Uint8Array([1, 2])
+	});
+
+	assert.strictEqual(value.d.getTime(), 0);
+	assert.strictEqual(String(value.r), '/a+/gi');
+	assert.deepStrictEqual(Array.from(value.m), [['k', 1]]);
+	assert.deepStrictEqual(Array.from(value.s), [1, 'a']);
+	assert.strictEqual(value.buf.toString(), 'hi');
+	assert.ok(value.ta instanceof Uint8Array);
+	assert.deepStrictEqual(Array.from(value.ta), [1, 2]);
+});
+
+test('class names and errors are kept', function() {
+	function Cart() {
+		this.items = [];
+	}
+	var value = roundTrip({cart: new Cart(), error: new TypeError('bad'), fn: function named() {}});
+
+	assert.strictEqual(value.cart.constructor.name, 'Cart');
+	assert.deepStrictEqual(value.cart.items, []);
+	assert.ok(value.error instanceof Error);
+	assert.strictEqual(value.error.name, 'TypeError');
+	assert.strictEqual(value.error.message, 'bad');
+	assert.strictEqual(value.fn.name, 'named');
+});
+
+test('shared and circular references are kept', function() {
+	var shared = {n: 1};
+	var circular = {x: 1};
+	var value;
+
+	circular.self = circular;
+	value = roundTrip({list: [shared, shared], circular: circular});
+	assert.strictEqual(value.list[0], value.list[1]);
+	assert.strictEqual(value.circular.self, value.circular);
+});
+
+test('values beyond the limits are truncated', function() {
+	assert.strictEqual(snapshot.format(snapshot.encode([1, [2, [3, [4]]]], {maxDepth: 2})), '[ 1, [ 2, [ 3, [Array] ] ] ]');
+	assert.strictEqual(snapshot.format(snapshot.encode([1, 2, 3, 4, 5], {maxSize: 3})), '[Array]');
+});
+
+test('throwing getters are recorded as unreadable', function() {
+	var value = {
+		get length() {
+			throw new Error('boom');
+		}
+	};
+
+	assert.strictEqual(snapshot.format(snapshot.encode(value)), '[Unreadable: boom]');
+	assert.strictEqual(snapshot.format(snapshot.encode([value])), "[ '[Unreadable: boom]' ]");
+	assert.strictEqual(snapshot.format(snapshot.encode({
+		get a() {
+			throw new Error('boom');
+		}
+	})), "{ a: '[Unreadable: boom]' }");
+});
+
+test('diffable trees label only references to ancestors as circular', function() {
+	var shared = {n: 1};
+	var circular = {x: 1};
+	var tree;
+
+	circular.self = circular;
+	tree = snapshot.diffable(snapshot.encode({a: shared, b: shared, c: circular}));
+	assert.deepStrictEqual(tree, {a: {n: '1'}, b: {n: '1'}, c: {x: '1', self: '[Circular ~.c]'}});
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests of `store.js`, see `harness.js`.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var harness = require('./harness');
+var store = require('../lib/store');
+
+var test = harness.test;
+
+// Run a function with warnings silenced, and return them.
+function quietly(fn) {
+	var warn = console.warn;
+	var warnings = [];
+
+	console.warn = function() {
+		warnings.push(Array.prototype.join.call(arguments, ' '));
+	};
+	try {
+		fn();
+	} finally {
+		console.warn = warn;
+	}
+	return warnings;
+}
+
+test('runs are appended and the oldest are dropped', function() {
+	var fileName = path.join(harness.tempDir(), 'a_probes.json');
+
+	store.appendRun(fileName, {id: '1', probes: []}, 2);
+	store.appendRun(fileName, {id: '2', probes: []}, 2);
+	store.appendRun(fileName, {id: '3', probes: []}, 2);
+	assert.deepStrictEqual(store.readRuns(fileName).map(function(run) {
+		return run.id;
+	}), ['2', '3']);
+	assert.deepStrictEqual(fs.readdirSync(path.dirname(fileName)), ['a_probes.json']);
+});
+
+test('a missing profile has no runs', function() {
+	assert.deepStrictEqual(store.loadRuns(path.join(harness.tempDir(), 'none_probes.json')), []);
+});
+
+test('a corrupt profile is moved aside rather than read or overwritten', function() {
+	var fileName = path.join(harness.tempDir(), 'a_probes.json');
+	var warnings;
+
+	fs.writeFileSync(fileName, '{bad');
+	assert.throws(function() {
+		store.readRuns(fileName);
+	}, SyntaxError);
+
+	warnings = quietly(function() {
+		assert.deepStrictEqual(store.loadRuns(fileName), []);
+	});
+	assert.strictEqual(warnings.length, 1);
+	assert.strictEqual(fs.readFileSync(fileName + '.corrupt').toString(), '{bad');
+	assert.strictEqual(fs.existsSync(fileName), false);
+
+	fs.writeFileSync(fileName, '{"other": 1}');
+	quietly(function() {
+		store.appendRun(fileName, {id: '1', probes: []});
+	});
+	assert.strictEqual(fs.readFileSync(fileName + '.corrupt').toString(), '{"other": 1}');
+	assert.deepStrictEqual(store.readRuns(fileName).map(function(run) {
+		return run.id;
+	}), ['1']);
+});
+
+test('legacy profiles are read as one run', function() {
+	var fileName = path.join(harness.tempDir(), 'a_probes.json');
+	var runs;
+
+	fs.writeFileSync(fileName, JSON.stringify([{_watches: {x: [1, 2]}}]));
+	runs = store.readRuns(fileName);
+	assert.strictEqual(runs.length, 1);
+	assert.strictEqual(runs[0].id, 'legacy');
+	assert.deepStrictEqual(runs[0].probes[0]._watches.x, [1, 2]);
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests of `structdiff.js`, see `harness.js`.
+ *
+ * Values are converted with `snapshot.diffable()` first, as `report.js`
+ * does, and changes are compared in a short text form, eg,
+ * `move [1] from [0]`.
+ */
+
+var assert = require('assert');
+var test = require('./harness').test;
+var snapshot = require('../lib/snapshot');
+var structdiff = require('../lib/structdiff');
+
+// Display a node of a diffable tree. Leaves are already display text.
+function display(node) {
+	return typeof node === 'string' ? node : snapshot.format(node);
+}
+
+// Diff two values, and return the changes in text form.
+function diff(a, b, keys) {
+	var treeA = snapshot.diffable(snapshot.encode(a));
+	var treeB = snapshot.diffable(snapshot.encode(b));
+
+	return structdiff.diff(treeA, treeB, keys).map(function(change) {
+		switch (change.type) {
+		case 'change':
+			return 'change ' + change.path + ' ' + change.removed + ' -> ' + change.added;
+		case 'move':
+			return 'move ' + change.path + ' from ' + change.from;
+		default:
+			return change.type + ' ' + change.path + ' ' + display(change.value);
+		}
+	});
+}
+
+test('equal values have no changes', function() {
+	assert.deepStrictEqual(diff({a: [1, {b: 2}]}, {a: [1, {b: 2}]}), []);
+});
+
+test('an element inserted at the front is one insertion', function() {
+	assert.deepStrictEqual(diff([1, 2, 3], [0, 1, 2, 3]), ['add [0] 0']);
+});
+
+test('an element removed from the middle is one removal', function() {
+	assert.deepStrictEqual(diff(['a', 'b', 'c'], ['a', 'c']), ["remove [1] 'b'"]);
+});
+
+test('elements replaced between common ones are changed in place', function() {
+	assert.deepStrictEqual(diff([1, 2, 3, 4], [1, 5, 6, 4]), ['change [1] 2 -> 5', 'change [2] 3 -> 6']);
+});
+
+test('elements out of the common subsequence are moved', function() {
+	assert.deepStrictEqual(diff({a: [3, 1, 2]}, {a: [1, 2, 3]}), ['move a[2] from a[0]']);
+});
+
+test('keyed elements are moved and changed', function() {
+	var before = [{id: 1, name: 'a'}, {id: 2, name: 'b'}];
+	var after = [{id: 2, name: 'B'}, {id: 1, name: 'a'}];
+
+	assert.deepStrictEqual(diff(before, after, {'[*]': 'id'}), ["change [0].name 'b' -> 'B'", 'move [1] from [0]']);
+	// Without the key, the changed element is a different one.
+	assert.deepStrictEqual(diff(before, after), ["remove [1] { id: 2, name: 'b' }", "add [0] { id: 2, name: 'B' }"]);
+});
+
+test('keyed elements in the same gap are removed and added', function() {
+	assert.deepStrictEqual(diff([{id: 1}, {id: 2}], [{id: 3}, {id: 4}], {'[*]': 'id'}),
+						   ['remove [0] { id: 1 }', 'remove [1] { id: 2 }', 'add [0] { id: 3 }', 'add [1] { id: 4 }']);
+});
+
+test('keys apply to nested lists by their patterns', function() {
+	var before = {users: [{id: 1, tags: ['x']}, {id: 2, tags: []}]};
+	var after = {users: [{id: 2, tags: []}, {id: 1, tags: ['x', 'y']}]};
+
+	assert.deepStrictEqual(diff(before, after, {'users[*]': 'id'}),
+						   ['move users[1] from users[0]', "add users[1].tags[1] 'y'"]);
+});
+
+test('sets are aligned like arrays', function() {
+	assert.deepStrictEqual(diff(new Set([1, 2]), new Set([2, 1, 3])), ['move [1] from [0]', 'add [2] 3']);
+});
+
+test('long lists are compared index by index', function() {
+	var before = [];
+	var changes;
+
+	for (var i = 0; i < 1001; i++) {
+		before.push(i);
+	}
+	changes = diff(before, [-1].concat(before));
+	assert.strictEqual(changes.length, 1002);
+	assert.deepStrictEqual(changes.slice(0, 2), ['change [0] 0 -> -1', 'change [1] 1 -> 0']);
+	assert.strictEqual(changes[1001], 'add [1001] 1000');
+});
+
+test('shared values are equal to copies', function() {
+	var shared = {n: 1};
+
+	assert.deepStrictEqual(diff({a: {n: 1}, b: {n: 1}}, {a: shared, b: shared}), []);
+});
+
+test('keysOf selects the keys of a watch', function() {
+	assert.deepStrictEqual(structdiff.keysOf({'users[*]': 'id', 'users.list[*]': 'key', 'other[*]': 'id'}, 'users'),
+						   {'[*]': 'id', 'list[*]': 'key'});
+});